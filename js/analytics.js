@@ -0,0 +1,170 @@
+'use strict';
+
+/* ========================================
+   FUNNEL ANALYTICS
+======================================== */
+// Typed events for the order funnel, fanned out to pluggable sinks.
+// Every event carries only the fields listed for its type (tier ids, SKUs,
+// outcomes), so names, CPF, addresses or codes can never leak into it.
+const ANALYTICS_EVENT_FIELDS = {
+  tier_view: ['tier'],
+  card_click: ['tier', 'sku', 'soldOut'],
+  modal_open: ['tier', 'sku'],
+  modal_close: ['tier', 'sku'],
+  // outcome: 'valid' | 'used' | 'invalid' | 'wrong_tier' | 'timeout' | 'error' | 'throttled'
+  code_validation: ['tier', 'sku', 'outcome'],
+  // outcome: 'invalid' (form not complete) | 'duplicate' | 'sent'
+  submit_attempt: ['tier', 'sku', 'outcome'],
+  order_success: ['tier', 'sku']
+};
+
+const ANALYTICS_SESSION_KEY = 'analytics_session';
+const ANALYTICS_BEACON_BATCH = 10;
+
+let analyticsSinks = [];
+let analyticsSessionId = null;
+
+function createAnalyticsSessionId() {
+  if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+    return crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+}
+
+// One id per tab, random and unrelated to the user.
+function analyticsSession() {
+  if (analyticsSessionId) return analyticsSessionId;
+  try {
+    analyticsSessionId = sessionStorage.getItem(ANALYTICS_SESSION_KEY);
+    if (!analyticsSessionId) {
+      analyticsSessionId = createAnalyticsSessionId();
+      sessionStorage.setItem(ANALYTICS_SESSION_KEY, analyticsSessionId);
+    }
+  } catch (err) {
+    analyticsSessionId = analyticsSessionId || createAnalyticsSessionId();
+  }
+  return analyticsSessionId;
+}
+
+function setAnalyticsSinks(sinks) {
+  analyticsSinks = sinks.filter(Boolean);
+}
+
+function trackEvent(type, fields = {}) {
+  const allowed = ANALYTICS_EVENT_FIELDS[type];
+  if (!allowed) {
+    console.warn(`analytics: tipo de evento desconhecido "${type}"`);
+    return null;
+  }
+  const event = { type, sessionId: analyticsSession(), at: new Date().toISOString() };
+  allowed.forEach(name => {
+    const value = fields[name];
+    if (['string', 'number', 'boolean'].includes(typeof value) && value !== '') event[name] = value;
+  });
+  analyticsSinks.forEach(sink => {
+    try {
+      sink.send(event);
+    } catch (err) {
+      console.warn('analytics: falha no sink', err);
+    }
+  });
+  return event;
+}
+
+/* ========================================
+   SINKS
+======================================== */
+// A sink is any object with send(event).
+function createConsoleSink() {
+  return { send: event => console.log('📊', event.type, event) };
+}
+
+// Batches events and posts them with navigator.sendBeacon, which survives
+// the page unloading (e.g. the redirect to confirmation.html). A string body
+// goes out as text/plain, so a cross-origin endpoint needs no preflight.
+function createBeaconSink(endpoint, { batchSize = ANALYTICS_BEACON_BATCH } = {}) {
+  const queue = [];
+
+  function flush() {
+    if (queue.length === 0) return;
+    const body = JSON.stringify({ events: queue.splice(0) });
+    const sent = typeof navigator.sendBeacon === 'function' && navigator.sendBeacon(endpoint, body);
+    if (!sent) {
+      fetch(endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+    }
+  }
+
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') flush();
+  });
+
+  return {
+    send: event => {
+      queue.push(event);
+      if (queue.length >= batchSize) flush();
+    },
+    flush
+  };
+}
+
+/* ========================================
+   CONVERSION REPORT
+======================================== */
+// Funnel steps are counted as distinct sessions, so retyping a code or
+// reopening a card doesn't inflate them. Conversion is orders / views for
+// a tier and orders / modal opens for a product.
+const FUNNEL_STEPS = {
+  tier_view: 'views',
+  card_click: 'clicks',
+  modal_open: 'opens',
+  code_validation: 'validCodes',
+  submit_attempt: 'submits',
+  order_success: 'orders'
+};
+
+function emptyFunnel() {
+  const funnel = {};
+  Object.values(FUNNEL_STEPS).forEach(step => { funnel[step] = new Set(); });
+  return funnel;
+}
+
+function funnelCounts(funnel, denominator) {
+  const counts = {};
+  Object.entries(funnel).forEach(([step, sessions]) => { counts[step] = sessions.size; });
+  counts.conversion = counts[denominator] > 0 ? counts.orders / counts[denominator] : 0;
+  return counts;
+}
+
+function conversionReport(events) {
+  const tiers = new Map();
+  const products = new Map();
+  const entry = (map, key) => {
+    if (!map.has(key)) map.set(key, emptyFunnel());
+    return map.get(key);
+  };
+
+  events.forEach(event => {
+    const step = FUNNEL_STEPS[event.type];
+    if (!step || !event.tier) return;
+    if (event.type === 'code_validation' && event.outcome !== 'valid') return;
+    if (event.type === 'submit_attempt' && event.outcome !== 'sent') return;
+
+    entry(tiers, event.tier)[step].add(event.sessionId);
+    if (event.sku) {
+      const product = entry(products, event.sku);
+      product.tier = event.tier;
+      product[step].add(event.sessionId);
+    }
+  });
+
+  return {
+    tiers: Array.from(tiers, ([tier, funnel]) => ({ tier, ...funnelCounts(funnel, 'views') })),
+    // Tier views can't be split per product, so products start at clicks
+    products: Array.from(products, ([sku, { tier, views, ...funnel }]) => ({ sku, tier, ...funnelCounts(funnel, 'opens') }))
+  };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ANALYTICS_EVENT_FIELDS, conversionReport };
+}
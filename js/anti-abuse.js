@@ -0,0 +1,158 @@
+'use strict';
+
+/* ========================================
+   ANTI-ABUSE
+======================================== */
+// Signals that let the backend tell a person from a script guessing codes on
+// /validate and /order. None of them blocks a real winner: the backend makes
+// the decision, and the only thing enforced here is a growing wait after
+// repeated invalid codes.
+
+/* ========================================
+   HONEYPOT
+======================================== */
+// Off-screen inputs (class "hp-field") that people never see or reach with
+// Tab; form-filling bots do, and the backend drops requests that carry them.
+const HONEYPOT_FIELD = 'website';
+
+function honeypotValue() {
+  const filled = Array.from(document.querySelectorAll(`.hp-field input[name="${HONEYPOT_FIELD}"]`))
+    .find(input => input.value);
+  return filled ? filled.value : '';
+}
+
+/* ========================================
+   FORM-FILL TIMING
+======================================== */
+// GET /form-token -> { token }: signed by the backend with the time it was
+// issued, so it can reject orders filled faster than a person could.
+// fillMs is the client's own measure, sent along for the logs.
+const pageStartedAt = Date.now();
+let formTokenRequest = null;
+
+function requestFormToken() {
+  if (!formTokenRequest) {
+    formTokenRequest = backendGet('/form-token', {}, { retries: 1 })
+      .then(result => (result && result.token) || '')
+      .catch(err => {
+        console.warn('Token do formulário indisponível:', err.message);
+        return '';
+      });
+  }
+  return formTokenRequest;
+}
+
+// Fields every guarded request carries (empty ones are left out of queries).
+async function abuseGuardFields() {
+  return {
+    website: honeypotValue(),
+    formToken: await requestFormToken(),
+    fillMs: Date.now() - pageStartedAt
+  };
+}
+
+/* ========================================
+   CODE ATTEMPT THROTTLING
+======================================== */
+// The first few invalid codes are free (typos); after that each one doubles
+// the wait before the next check. Kept in localStorage so a reload doesn't
+// reset it, and forgotten after a quiet half hour or a valid code.
+const CODE_ATTEMPTS_KEY = 'code_attempts';
+const CODE_FREE_ATTEMPTS = 3;
+const CODE_BACKOFF_BASE_MS = 2000;
+const CODE_BACKOFF_MAX_MS = 60 * 1000;
+const CODE_ATTEMPTS_WINDOW_MS = 30 * 60 * 1000;
+
+function readCodeAttempts() {
+  try {
+    const state = JSON.parse(localStorage.getItem(CODE_ATTEMPTS_KEY));
+    if (state && Date.now() - state.lastFailureAt < CODE_ATTEMPTS_WINDOW_MS) return state;
+  } catch (err) {
+    // storage unavailable or corrupt, start over
+  }
+  return { failures: 0, blockedUntil: 0, lastFailureAt: 0 };
+}
+
+function writeCodeAttempts(state) {
+  try {
+    if (state.failures === 0) localStorage.removeItem(CODE_ATTEMPTS_KEY);
+    else localStorage.setItem(CODE_ATTEMPTS_KEY, JSON.stringify(state));
+  } catch (err) {
+    // storage unavailable: the backend still rate-limits
+  }
+}
+
+// Milliseconds until the next code may be checked (0 = now).
+function codeAttemptDelay() {
+  return Math.max(0, readCodeAttempts().blockedUntil - Date.now());
+}
+
+// Called with the backend's verdict for each code actually sent.
+function recordCodeAttempt(status) {
+  if (status === 'valid') {
+    writeCodeAttempts({ failures: 0 });
+    return;
+  }
+  if (status !== 'invalid') return;
+
+  const state = readCodeAttempts();
+  state.failures += 1;
+  state.lastFailureAt = Date.now();
+  const extra = state.failures - CODE_FREE_ATTEMPTS;
+  if (extra > 0) {
+    state.blockedUntil = state.lastFailureAt + Math.min(CODE_BACKOFF_BASE_MS * Math.pow(2, extra - 1), CODE_BACKOFF_MAX_MS);
+  }
+  writeCodeAttempts(state);
+}
+
+function codeThrottledMessage(delayMs) {
+  return t('code.throttled', { seconds: Math.ceil(delayMs / 1000) });
+}
+
+/* ========================================
+   PROOF OF WORK
+======================================== */
+// When the backend is suspicious it answers a guarded call with
+// { status: 'challenge', challenge: { id, prefix, difficulty } } instead of a
+// verdict. The call is repeated with a nonce such that
+// SHA-256(prefix + nonce) starts with `difficulty` zero bits.
+// The search stops when the caller's signal aborts (a newer code was typed)
+// and gives up after POW_TIME_LIMIT_MS, so a slow phone doesn't hash forever.
+const POW_MAX_DIFFICULTY = 24;
+const POW_TIME_LIMIT_MS = 20000;
+
+function leadingZeroBits(bytes) {
+  let bits = 0;
+  for (const byte of bytes) {
+    if (byte === 0) {
+      bits += 8;
+      continue;
+    }
+    return bits + Math.clz32(byte) - 24;
+  }
+  return bits;
+}
+
+async function solveProofOfWork({ id, prefix, difficulty }, { signal } = {}) {
+  const target = Number(difficulty) || 0;
+  if (target > POW_MAX_DIFFICULTY) {
+    throw new ApiError('invalid_response', `Proof-of-work difficulty ${target} too high`);
+  }
+  const encoder = new TextEncoder();
+  const deadline = Date.now() + POW_TIME_LIMIT_MS;
+  for (let nonce = 0; ; nonce++) {
+    if (signal && signal.aborted) throw new ApiError('cancelled', 'Request cancelled');
+    if (Date.now() > deadline) {
+      throw new ApiError('timeout', `Proof-of-work not solved in ${POW_TIME_LIMIT_MS / 1000}s`);
+    }
+    const digest = await crypto.subtle.digest('SHA-256', encoder.encode(`${prefix}${nonce}`));
+    if (leadingZeroBits(new Uint8Array(digest)) >= target) return { powId: id, powNonce: String(nonce) };
+  }
+}
+
+// send(solution) performs the request; solution is {} on the first try.
+async function withProofOfWork(send, { signal } = {}) {
+  const result = await send({});
+  if (!result || result.status !== 'challenge' || !result.challenge) return result;
+  return send(await solveProofOfWork(result.challenge, { signal }));
+}
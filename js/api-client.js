@@ -0,0 +1,269 @@
+'use strict';
+
+/* ========================================
+   KONFIG
+======================================== */
+const BACKEND_URL = "https://redepop-backend.onrender.com";
+const REQUEST_TIMEOUT_MS = 10000;
+const ORDER_TIMEOUT_MS = 30000;
+
+// Render free instances cold-start; retries back off 1s, 2s, 4s (+ jitter).
+const GET_RETRIES = 3;
+const RETRY_BASE_DELAY_MS = 1000;
+const WARMUP_PATH = '/health';
+
+/* ========================================
+   ERRORS
+======================================== */
+// code: 'timeout' | 'network' | 'http' | 'cancelled' | 'invalid_response'
+class ApiError extends Error {
+  constructor(code, message, { status = 0, body = null } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status;
+    this.body = body;
+  }
+
+  get retryable() {
+    return this.code === 'timeout'
+      || this.code === 'network'
+      || (this.code === 'http' && (this.status >= 500 || this.status === 429));
+  }
+}
+
+function apiErrorMessage(err) {
+  const code = err && err.code;
+  if (code === 'timeout') return t('api.timeout');
+  if (code === 'network') return t('api.network');
+  if (code === 'http' && err.status === 429) return t('api.rateLimited');
+  if (code === 'http' && err.status >= 500) return t('api.server');
+  return t('api.generic');
+}
+
+/* ========================================
+   REQUEST CORE
+======================================== */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    if (signal) {
+      signal.addEventListener('abort', () => {
+        clearTimeout(timer);
+        reject(new ApiError('cancelled', 'Request cancelled'));
+      }, { once: true });
+    }
+  });
+}
+
+function retryDelay(attempt) {
+  return RETRY_BASE_DELAY_MS * Math.pow(2, attempt) + Math.floor(Math.random() * 250);
+}
+
+// One HTTP attempt with its own timeout, chained to the caller's signal.
+async function requestOnce(method, url, { body, headers, signal, timeoutMs }) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const forwardAbort = () => controller.abort();
+  if (signal) {
+    if (signal.aborted) controller.abort();
+    else signal.addEventListener('abort', forwardAbort, { once: true });
+  }
+
+  let res;
+  try {
+    res = await fetch(url, {
+      method,
+      headers: body !== undefined ? { 'Content-Type': 'application/json', ...headers } : headers,
+      body: body !== undefined ? JSON.stringify(body) : undefined,
+      signal: controller.signal
+    });
+  } catch (err) {
+    if (timedOut) throw new ApiError('timeout', 'Timeout');
+    if (err.name === 'AbortError') throw new ApiError('cancelled', 'Request cancelled');
+    throw new ApiError('network', err.message || 'Network error');
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', forwardAbort);
+  }
+
+  const data = await res.json().catch(() => null);
+  // The backend answers business outcomes (invalid code, used code...) as JSON
+  // on 4xx; those are results, not transport errors.
+  if (res.status >= 500 || res.status === 429 || (!res.ok && !data)) {
+    throw new ApiError('http', `HTTP ${res.status}`, { status: res.status, body: data });
+  }
+  if (!data) throw new ApiError('invalid_response', 'Invalid JSON response', { status: res.status });
+  return data;
+}
+
+async function apiRequest(method, path, { params = {}, body, headers = {}, signal, timeoutMs = REQUEST_TIMEOUT_MS, retries = 0 } = {}) {
+  const query = new URLSearchParams();
+  Object.entries(params).forEach(([key, value]) => {
+    if (value !== undefined && value !== null && value !== '') query.set(key, value);
+  });
+  const qs = query.toString();
+  const url = `${BACKEND_URL}${path}${qs ? `?${qs}` : ''}`;
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await requestOnce(method, url, { body, headers, signal, timeoutMs });
+    } catch (err) {
+      if (!err.retryable || attempt >= retries) throw err;
+      console.warn(`↻ ${method} ${path} falhou (${err.message}), nova tentativa ${attempt + 1}/${retries}`);
+      await sleep(retryDelay(attempt), signal);
+    }
+  }
+}
+
+// GETs are safe to repeat, so they retry by default. /validate doesn't:
+// every repeat would count as another code guess (see anti-abuse.js).
+function backendGet(path, params = {}, { signal, timeoutMs = REQUEST_TIMEOUT_MS, retries = GET_RETRIES } = {}) {
+  return apiRequest('GET', path, { params, signal, timeoutMs, retries });
+}
+
+/* ========================================
+   SECRET CODES
+======================================== */
+// Anti-abuse fields (see anti-abuse.js) as /validate query parameters.
+function guardQueryParams(guard, pow = {}) {
+  return {
+    website: guard.website,
+    form_token: guard.formToken,
+    fill_ms: guard.fillMs,
+    pow_id: pow.powId,
+    pow_nonce: pow.powNonce
+  };
+}
+
+// Code-first entry: /validate without product_id tells which tier the code unlocks.
+// GET /validate?secret_code=&ref= -> { status: 'valid', tier } | { status: 'used' } | { status: 'invalid' }
+//   | { status: 'challenge', challenge } (answered by withProofOfWork)
+async function lookupSecretCode(secretCode, { signal, ref } = {}) {
+  const guard = await abuseGuardFields();
+  const result = await withProofOfWork(pow => backendGet('/validate', {
+    secret_code: secretCode,
+    ref,
+    ...guardQueryParams(guard, pow)
+  }, { signal, retries: 0 }), { signal });
+  recordCodeAttempt(result.status);
+  return result;
+}
+
+/* ========================================
+   WARM-UP
+======================================== */
+// Fire-and-forget ping so a sleeping backend is already booting
+// while the user browses the catalog.
+function warmUpBackend() {
+  fetch(`${BACKEND_URL}${WARMUP_PATH}`, { method: 'GET', cache: 'no-store', keepalive: true })
+    .catch(() => {});
+}
+
+/* ========================================
+   ORDER SUBMISSION
+======================================== */
+const IDEMPOTENCY_KEY_PREFIX = 'order_idempotency:';
+
+function createIdempotencyKey() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+// One key per secret code, kept for the tab's lifetime, so a submit repeated
+// after a timeout (or a page reload) is recognised by the backend as the same order.
+function idempotencyKeyFor(secretCode) {
+  const storageKey = IDEMPOTENCY_KEY_PREFIX + secretCode;
+  try {
+    let key = sessionStorage.getItem(storageKey);
+    if (!key) {
+      key = createIdempotencyKey();
+      sessionStorage.setItem(storageKey, key);
+    }
+    return key;
+  } catch (err) {
+    return createIdempotencyKey();
+  }
+}
+
+function clearIdempotencyKey(secretCode) {
+  try {
+    sessionStorage.removeItem(IDEMPOTENCY_KEY_PREFIX + secretCode);
+  } catch (err) {
+    // storage unavailable, nothing to clear
+  }
+}
+
+// POST /order -> { status: 'success', orderId, receiptToken } | { status: 'error', message }
+//   | { status: 'challenge', challenge } (answered by withProofOfWork)
+// `data.ref` is the referring mentor, if any (see mentor-referral.js); the body
+// also carries the anti-abuse fields (website, formToken, fillMs, powId, powNonce).
+// The key only outlives failures where the order may or may not have been
+// stored (timeout, network, 5xx, 429). Any definitive answer clears it, so a
+// form corrected after an error is sent as a new request.
+async function submitOrder(data) {
+  const idempotencyKey = idempotencyKeyFor(data.secretCode);
+  const guard = await abuseGuardFields();
+  let result;
+  try {
+    result = await withProofOfWork(pow => apiRequest('POST', '/order', {
+      body: { ...data, ...guard, ...pow, idempotencyKey },
+      headers: { 'Idempotency-Key': idempotencyKey },
+      timeoutMs: ORDER_TIMEOUT_MS,
+      retries: 2
+    }));
+  } catch (err) {
+    if (err.status && !err.retryable) clearIdempotencyKey(data.secretCode);
+    throw err;
+  }
+  if (result.status !== 'challenge') clearIdempotencyKey(data.secretCode);
+  return result;
+}
+
+/* ========================================
+   ORDER LOOKUP
+======================================== */
+// The order ID alone (e.g. from a confirmation URL in the browser history)
+// must not be enough to read the order back: the backend answers only when
+// `token` is the receipt token it issued for that order, and returns CPF and
+// phone already masked.
+// GET /order/:id?token= -> { status, order: { ..., receiptToken } }
+async function fetchOrder(orderId, receiptToken) {
+  const result = await backendGet(`/order/${encodeURIComponent(orderId)}`, { token: receiptToken });
+  return (result && result.order) || null;
+}
+
+/* ========================================
+   RECEIPT VERIFICATION
+======================================== */
+// The token is issued by the backend with the order and printed in the
+// receipt's QR code; only the backend can tell whether it matches.
+// GET /receipt/verify?pedido=&token= ->
+//   { status: 'valid', order: { productName, productImg, fullName, gameId, state, createdAt } }
+//   { status: 'invalid' } | { status: 'not_found' }
+function verifyReceipt(orderId, token, { signal } = {}) {
+  return backendGet('/receipt/verify', { pedido: orderId, token }, { signal });
+}
+
+/* ========================================
+   ORDER STATUS
+======================================== */
+// GET /status?secret_code=&cpf_last= ->
+//   { status: 'found', order: { productName, productImg, state, trackingNumber,
+//     carrier, cancelReason, history: [{ state, at }] } }
+//   { status: 'not_found' }
+async function fetchOrderStatus(secretCode, cpfLast) {
+  return backendGet('/status', { secret_code: secretCode, cpf_last: cpfLast });
+}
+
+// Same lookup for orders listed in "Meus pedidos", which keep no code or CPF:
+// GET /status?pedido=&token= (token = the receipt token) -> same shape as above
+async function fetchOrderStatusByReceipt(orderId, receiptToken) {
+  return backendGet('/status', { pedido: orderId, token: receiptToken });
+}
@@ -0,0 +1,178 @@
+'use strict';
+
+/* ========================================
+   BRANDS
+======================================== */
+// One deploy serves every brand site: the brand is picked by hostname (the
+// CNAME), falling back to DEFAULT_BRAND_ID. Locally (or with ?preview) any
+// brand can be tried with ?brand=<id>.
+//
+// Messages use {brand} for the name and {bot} for the Telegram bot handle;
+// `copy` overrides whole messages per locale (pt-BR is the fallback):
+//   copy: { 'header.slogan': { 'pt-BR': '...', es: '...' } }
+//
+// {account} is what players call their account on the brand's game
+// ("Conta POP").
+//
+// In HTML (values are paths into the brand, e.g. "contacts.whatsapp"):
+//   data-brand-text="name"          textContent
+//   data-brand-href="..."           href
+//   data-brand-src="..."            src
+//   data-brand-logo                 the two-tone text logo, or logo.image
+// Links, icons and images are left without href/src in the HTML, so no
+// other brand's file is downloaded or linked first; text keeps the default
+// brand's wording, like data-i18n elements do.
+const BRANDS = {
+  popvai: {
+    hosts: ['popn1.site', 'www.popn1.site'],
+    name: 'POPVAI',
+    account: 'POP',
+    logo: { text: ['POP', 'VAI'], image: '' },
+    // primary/secondary: header, cards, buttons; accent/accentLight: badges, highlights
+    colors: { primary: '#8B5CF6', secondary: '#6D28D9', accent: '#F59E0B', accentLight: '#FCD34D' },
+    favicon: 'https://i.ibb.co/ycrKDfFM/Vai.webp',
+    pageIcon: 'https://i.ibb.co/BKdsNcw0/Favicon.png',
+    // Install name, colours and icon; one file per brand, precached by sw.js
+    installManifest: 'manifests/popvai.webmanifest',
+    contactIcons: {
+      whatsapp: 'https://i.ibb.co/BHYkmXfs/Whatsapp-Transparent.gif',
+      telegram: 'https://i.ibb.co/s9x87GHJ/Telegram-logo.gif'
+    },
+    watermark: 'https://i.ibb.co/JRhNJQxW/image-2025-11-30-00-31-06.png',
+    contacts: {
+      whatsapp: 'https://pop-agent.com/wa',
+      telegram: 'https://poppremio.com/tg',
+      bot: 'LojaPopRedeBot'
+    },
+    receiptPrefix: 'POPVAI',
+    // PLATAFORMA options until manifest.json `platforms` loads (see
+    // platforms.js); gameId texts are message keys.
+    platforms: [
+      {
+        id: 'POPVAI',
+        name: 'POPVAI',
+        gameId: {
+          pattern: '^\\d{12}$',
+          maxLength: 12,
+          numeric: true,
+          example: '123456789012',
+          placeholder: 'platform.popvaiPlaceholder',
+          hint: 'platform.popvaiHint',
+          error: 'platform.popvaiError'
+        }
+      }
+    ],
+    copy: {}
+  }
+};
+
+const DEFAULT_BRAND_ID = 'popvai';
+const BRAND_QUERY_PARAM = 'brand';
+
+function brandIdForHost(hostname) {
+  const host = String(hostname || '').toLowerCase();
+  return Object.keys(BRANDS).find(id => BRANDS[id].hosts.includes(host)) || null;
+}
+
+function detectBrandId() {
+  const { hostname, search } = window.location;
+  const params = new URLSearchParams(search);
+  const local = ['localhost', '127.0.0.1', ''].includes(hostname) || params.has('preview');
+  const requested = params.get(BRAND_QUERY_PARAM);
+  if (local && requested && BRANDS[requested]) return requested;
+  return brandIdForHost(hostname) || DEFAULT_BRAND_ID;
+}
+
+const activeBrandId = detectBrandId();
+const activeBrand = { id: activeBrandId, ...BRANDS[activeBrandId] };
+activeBrand.contacts = {
+  ...activeBrand.contacts,
+  botUrl: activeBrand.contacts.botUrl || `https://t.me/${activeBrand.contacts.bot}`
+};
+
+function currentBrand() {
+  return activeBrand;
+}
+
+// 'contacts.whatsapp' -> activeBrand.contacts.whatsapp
+function brandValue(path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), activeBrand);
+}
+
+function hexToRgb(hex) {
+  const value = parseInt(String(hex).replace('#', ''), 16);
+  return [(value >> 16) & 255, (value >> 8) & 255, value & 255];
+}
+
+/* ========================================
+   MESSAGES
+======================================== */
+setMessageDefaults({ brand: activeBrand.name, bot: activeBrand.contacts.bot, account: activeBrand.account });
+
+Object.entries(activeBrand.copy || {}).forEach(([key, byLocale]) => {
+  Object.entries(byLocale).forEach(([locale, message]) => registerMessages(locale, { [key]: message }));
+});
+
+/* ========================================
+   APPLY
+======================================== */
+function applyBrandTheme() {
+  const { primary, secondary, accent, accentLight } = activeBrand.colors;
+  const gradient = `linear-gradient(135deg, ${primary}, ${secondary})`;
+  const vars = {
+    '--purple-popvai': primary,
+    '--purple-dark': secondary,
+    '--purple-top': primary,
+    '--purple-bottom': secondary,
+    '--orange-popvai': accent,
+    '--gold-popvai': accentLight,
+    '--dynamic-primary': primary,
+    '--dynamic-secondary': secondary,
+    '--dynamic-gradient': gradient,
+    '--purple-gradient': gradient
+  };
+  Object.entries(vars).forEach(([name, value]) => document.documentElement.style.setProperty(name, value));
+
+  const themeColor = document.querySelector('meta[name="theme-color"]');
+  if (themeColor) themeColor.setAttribute('content', primary);
+}
+
+function renderBrandLogo(node) {
+  node.innerHTML = '';
+  const { text = [], image } = activeBrand.logo || {};
+  if (image) {
+    const img = document.createElement('img');
+    img.src = image;
+    img.alt = activeBrand.name;
+    img.className = 'brand-logo-img';
+    node.appendChild(img);
+    return;
+  }
+  ['logo-pop', 'logo-vai'].forEach((className, idx) => {
+    if (!text[idx]) return;
+    const span = document.createElement('span');
+    span.className = className;
+    span.textContent = text[idx];
+    node.appendChild(span);
+  });
+}
+
+function applyBrand(root = document) {
+  root.querySelectorAll('[data-brand-text]').forEach(node => {
+    node.textContent = brandValue(node.dataset.brandText) || '';
+  });
+  root.querySelectorAll('[data-brand-href]').forEach(node => {
+    const href = brandValue(node.dataset.brandHref);
+    if (href) node.setAttribute('href', href);
+  });
+  root.querySelectorAll('[data-brand-src]').forEach(node => {
+    const src = brandValue(node.dataset.brandSrc);
+    if (src) node.setAttribute('src', src);
+  });
+  root.querySelectorAll('[data-brand-logo]').forEach(renderBrandLogo);
+}
+
+// Runs as soon as the script loads: the scripts sit at the end of <body>,
+// so the whole page (head icons included) is already parsed.
+applyBrandTheme();
+applyBrand(document);
@@ -0,0 +1,161 @@
+'use strict';
+
+/* ========================================
+   CATALOG SEARCH & TAG FILTERS
+======================================== */
+// Filters the cards main.js renders, across every tier. Matching is
+// accent-insensitive (foldText) on the item name and its manifest `tags`.
+// While a filter is active, matching "VEJA MAIS" extras are shown too.
+// The claim flow can also restrict the catalog to a single tier.
+let catalogSearchInput;
+let catalogTagsBar;
+let catalogNoResults;
+let catalogSearchStatus;
+let activeCatalogTag = '';
+let catalogTierFilter = '';
+
+// Text a card is matched against; set by buildProductCard via data-search.
+// Translated tags are included so a search in the page language finds them.
+function catalogSearchText(name, tags) {
+  const list = tags || [];
+  return foldText([name].concat(list, list.map(tag => catalogTagLabel(foldText(tag), ''))).join(' '));
+}
+
+// Manifest tags are written in Portuguese; bundles may translate them as
+// `tag.<folded tag>` (e.g. 'tag.relogio').
+function catalogTagLabel(key, fallback) {
+  return hasMessage(`tag.${key}`) ? t(`tag.${key}`) : fallback;
+}
+
+function cardTags(card) {
+  return card.dataset.tags ? card.dataset.tags.split('|') : [];
+}
+
+function cardMatchesFilter(card, terms, tag) {
+  if (tag && !cardTags(card).includes(tag)) return false;
+  const text = card.dataset.search || '';
+  return terms.every(term => text.includes(term));
+}
+
+function isVejaMaisExpanded(section) {
+  const btn = section.querySelector('.veja-mais-btn');
+  return !!btn && btn.getAttribute('aria-expanded') === 'true';
+}
+
+/* ========================================
+   TAG CHIPS
+======================================== */
+// Chips keep the first spelling seen in the manifest (or its translation);
+// matching uses the folded tag.
+function renderCatalogTags(tiers) {
+  if (!catalogTagsBar) return;
+  const labels = new Map();
+  tiers.forEach(tier => (Array.isArray(tier.items) ? tier.items : []).forEach(item => {
+    (Array.isArray(item.tags) ? item.tags : []).forEach(tag => {
+      const key = foldText(tag);
+      if (key && !labels.has(key)) labels.set(key, String(tag).trim());
+    });
+  }));
+
+  catalogTagsBar.innerHTML = '';
+  labels.forEach((label, key) => {
+    const chip = document.createElement('button');
+    chip.type = 'button';
+    chip.className = 'catalog-tag';
+    chip.dataset.tag = key;
+    chip.textContent = catalogTagLabel(key, label);
+    chip.setAttribute('aria-pressed', String(key === activeCatalogTag));
+    catalogTagsBar.appendChild(chip);
+  });
+  catalogTagsBar.hidden = labels.size === 0;
+  if (activeCatalogTag && !labels.has(activeCatalogTag)) activeCatalogTag = '';
+}
+
+function setActiveCatalogTag(tag) {
+  activeCatalogTag = tag;
+  catalogTagsBar.querySelectorAll('.catalog-tag').forEach(chip => {
+    chip.setAttribute('aria-pressed', String(chip.dataset.tag === activeCatalogTag));
+  });
+  applyCatalogFilter();
+}
+
+/* ========================================
+   FILTERING
+======================================== */
+function applyCatalogFilter() {
+  if (!catalogSearchInput) return;
+  const terms = foldText(catalogSearchInput.value).split(' ').filter(Boolean);
+  const filtering = terms.length > 0 || !!activeCatalogTag;
+  let total = 0;
+
+  document.querySelectorAll('#catalog .reward-tier').forEach(section => {
+    if (catalogTierFilter && section.dataset.tier !== catalogTierFilter) {
+      section.hidden = true;
+      return;
+    }
+    const expanded = isVejaMaisExpanded(section);
+    let matches = 0;
+
+    section.querySelectorAll('.product-card').forEach(card => {
+      if (filtering) {
+        card.hidden = !cardMatchesFilter(card, terms, activeCatalogTag);
+      } else {
+        // Back to the tier's own "VEJA MAIS" state
+        card.hidden = card.classList.contains('extra-product') && !expanded;
+      }
+      if (!card.hidden) matches++;
+    });
+
+    section.hidden = filtering && matches === 0;
+    const btn = section.querySelector('.veja-mais-btn');
+    if (btn) btn.hidden = filtering;
+    total += matches;
+  });
+
+  catalog.classList.toggle('is-filtering', filtering);
+  if (catalogNoResults) catalogNoResults.hidden = !filtering || total > 0;
+  if (catalogSearchStatus) {
+    catalogSearchStatus.textContent = filtering ? t('search.count', { count: total }) : '';
+  }
+}
+
+// '' shows every tier again.
+function setCatalogTierFilter(tierId) {
+  catalogTierFilter = tierId || '';
+  applyCatalogFilter();
+}
+
+function clearCatalogFilter() {
+  catalogSearchInput.value = '';
+  setActiveCatalogTag('');
+}
+
+/* ========================================
+   INIT
+======================================== */
+function initCatalogSearch() {
+  catalogSearchInput = document.getElementById('catalogSearchInput');
+  catalogTagsBar = document.getElementById('catalogTags');
+  catalogNoResults = document.getElementById('catalogNoResults');
+  catalogSearchStatus = document.getElementById('catalogSearchStatus');
+  if (!catalogSearchInput) return;
+
+  catalogSearchInput.addEventListener('input', applyCatalogFilter);
+  catalogSearchInput.addEventListener('keydown', e => {
+    if (e.key === 'Escape' && catalogSearchInput.value) {
+      e.preventDefault();
+      catalogSearchInput.value = '';
+      applyCatalogFilter();
+    }
+  });
+
+  if (catalogTagsBar) {
+    catalogTagsBar.addEventListener('click', e => {
+      const chip = e.target.closest('.catalog-tag');
+      if (chip) setActiveCatalogTag(chip.dataset.tag === activeCatalogTag ? '' : chip.dataset.tag);
+    });
+  }
+
+  const clearBtn = document.getElementById('catalogClearFilter');
+  if (clearBtn) clearBtn.addEventListener('click', clearCatalogFilter);
+}
@@ -0,0 +1,230 @@
+'use strict';
+
+/* ========================================
+   CEP RANGES PER UF
+======================================== */
+// Inclusive ranges of the first five CEP digits assigned to each state.
+const CEP_RANGES_BY_STATE = {
+  SP: [[1000, 19999]],
+  RJ: [[20000, 28999]],
+  ES: [[29000, 29999]],
+  MG: [[30000, 39999]],
+  BA: [[40000, 48999]],
+  SE: [[49000, 49999]],
+  PE: [[50000, 56999]],
+  AL: [[57000, 57999]],
+  PB: [[58000, 58999]],
+  RN: [[59000, 59999]],
+  CE: [[60000, 63999]],
+  PI: [[64000, 64999]],
+  MA: [[65000, 65999]],
+  PA: [[66000, 68899]],
+  AP: [[68900, 68999]],
+  AM: [[69000, 69299], [69400, 69899]],
+  RR: [[69300, 69399]],
+  AC: [[69900, 69999]],
+  DF: [[70000, 72799], [73000, 73699]],
+  GO: [[72800, 72999], [73700, 76799]],
+  RO: [[76800, 76999]],
+  TO: [[77000, 77999]],
+  MT: [[78000, 78899]],
+  MS: [[79000, 79999]],
+  PR: [[80000, 87999]],
+  SC: [[88000, 89999]],
+  RS: [[90000, 99999]]
+};
+
+const CEP_LOOKUP_DEBOUNCE_MS = 300;
+
+function cepDigits(value) {
+  return String(value || '').replace(/\D/g, '').slice(0, 8);
+}
+
+function formatCep(cep) {
+  const digits = cepDigits(cep);
+  return digits.length > 5 ? `${digits.slice(0, 5)}-${digits.slice(5)}` : digits;
+}
+
+function stateForCep(cep) {
+  const digits = cepDigits(cep);
+  if (digits.length !== 8) return null;
+  const prefix = parseInt(digits.slice(0, 5), 10);
+  for (const [uf, ranges] of Object.entries(CEP_RANGES_BY_STATE)) {
+    if (ranges.some(([min, max]) => prefix >= min && prefix <= max)) return uf;
+  }
+  return null;
+}
+
+// Returns an error message, or '' when the CEP is plausible for the UF.
+function checkCepForState(cep, uf) {
+  const digits = cepDigits(cep);
+  if (digits.length !== 8) return '';
+  const cepState = stateForCep(digits);
+  if (!cepState) return t('validation.zipUnknown', { cep: formatCep(digits) });
+  if (uf && cepState !== uf) return t('validation.zipWrongState', { cep: formatCep(digits), cepState, state: uf });
+  return '';
+}
+
+/* ========================================
+   ADDRESS PROVIDERS
+======================================== */
+// A provider is { name, lookup(cep, { signal }) } resolving to
+// { cep, state, city, neighborhood, street } or null when the CEP is unknown.
+
+function addressFromViaCep(data) {
+  return {
+    cep: cepDigits(data.cep),
+    state: (data.uf || '').toUpperCase(),
+    city: data.localidade || '',
+    neighborhood: data.bairro || '',
+    street: data.logradouro || ''
+  };
+}
+
+// Works with viacep.com.br or any service answering with the same JSON shape.
+function createViaCepProvider(baseUrl = 'https://viacep.com.br/ws') {
+  return {
+    name: 'viacep',
+    async lookup(cep, { signal } = {}) {
+      const res = await fetch(`${baseUrl}/${cep}/json/`, { signal });
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      const data = await res.json();
+      if (!data || data.erro) return null;
+      return addressFromViaCep(data);
+    }
+  };
+}
+
+// Reads a local JSON file keyed by CEP digits, with ViaCEP-shaped values.
+function createFixtureProvider(url) {
+  let fixturesPromise = null;
+  return {
+    name: 'fixture',
+    async lookup(cep) {
+      if (!fixturesPromise) {
+        fixturesPromise = fetch(url, { cache: 'no-cache' }).then(res => {
+          if (!res.ok) throw new Error(`HTTP ${res.status}`);
+          return res.json();
+        }).catch(err => {
+          // forget the failure so the next lookup tries again
+          fixturesPromise = null;
+          throw err;
+        });
+      }
+      const fixtures = await fixturesPromise;
+      const data = fixtures[cep];
+      return data ? addressFromViaCep({ cep, ...data }) : null;
+    }
+  };
+}
+
+// window.REDEPOP_CEP_PROVIDER may be "viacep", "viacep:<baseUrl>",
+// "fixture:<url>", "none", or an object implementing lookup().
+function resolveCepProvider(config) {
+  if (config && typeof config.lookup === 'function') return config;
+
+  const [type, ...rest] = String(config || 'viacep').split(':');
+  const arg = rest.join(':');
+
+  if (type === 'none') return null;
+  if (type === 'fixture') return createFixtureProvider(arg || './fixtures/ceps.json');
+  if (type === 'viacep') return arg ? createViaCepProvider(arg) : createViaCepProvider();
+
+  console.warn('Provedor de CEP desconhecido:', config);
+  return null;
+}
+
+/* ========================================
+   FORM INTEGRATION
+======================================== */
+let cepProvider = null;
+let cepLookupTimer = null;
+let cepLookupController = null;
+let lastLookedUpCep = '';
+
+function setZipStatus(text, color) {
+  const status = document.getElementById('zipStatus');
+  if (!status) return;
+  status.textContent = text || '';
+  status.style.color = color || '';
+}
+
+// Only overwrite fields the user hasn't typed into themselves.
+function fillAddressField(id, value) {
+  const input = document.getElementById(id);
+  if (!input || !value) return;
+  if (input.value.trim() && input.dataset.autofilled !== 'true') return;
+  input.value = value;
+  input.dataset.autofilled = 'true';
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+function applyAddress(address) {
+  if (address.state && typeof setSelectedCity === 'function') {
+    const cityFound = setSelectedCity(address.state, address.city);
+    if (!cityFound) {
+      setZipStatus(t('cep.cityNotFound', { city: address.city }), '#F59E0B');
+    }
+  }
+  fillAddressField('neighborhood', address.neighborhood);
+  fillAddressField('street', address.street);
+}
+
+async function lookupCep(cep) {
+  if (cepLookupController) {
+    cepLookupController.abort();
+  }
+  cepLookupController = new AbortController();
+  const signal = cepLookupController.signal;
+
+  setZipStatus(t('cep.searching'), '#2D1B4E');
+
+  try {
+    const address = await cepProvider.lookup(cep, { signal });
+    if (signal.aborted) return;
+
+    lastLookedUpCep = cep;
+    if (!address) {
+      setZipStatus(t('cep.notFound'), '#F59E0B');
+      return;
+    }
+
+    setZipStatus(`✓ ${address.city} - ${address.state}`, '#28c650');
+    applyAddress(address);
+  } catch (err) {
+    if (err.name === 'AbortError') return;
+    console.warn('Falha na consulta de CEP:', err);
+    setZipStatus(t('cep.unavailable'), '#F59E0B');
+  }
+}
+
+function initCepLookup() {
+  const zipInput = document.getElementById('zip');
+  if (!zipInput) return;
+
+  cepProvider = resolveCepProvider(window.REDEPOP_CEP_PROVIDER);
+
+  zipInput.addEventListener('input', () => {
+    const cep = cepDigits(zipInput.value);
+    if (cep.length !== 8) setZipStatus('');
+
+    if (cepLookupTimer) {
+      clearTimeout(cepLookupTimer);
+    }
+    if (!cepProvider || cep.length !== 8 || cep === lastLookedUpCep) return;
+    if (!stateForCep(cep)) return;
+
+    cepLookupTimer = setTimeout(() => lookupCep(cep), CEP_LOOKUP_DEBOUNCE_MS);
+  });
+
+  // A user edit takes ownership of an auto-filled field.
+  ['neighborhood', 'street'].forEach(id => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.addEventListener('input', e => {
+      if (e.isTrusted) delete input.dataset.autofilled;
+    });
+  });
+}
+
+document.addEventListener('DOMContentLoaded', initCepLookup);
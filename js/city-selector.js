@@ -1 +1,241 @@
-document.addEventListener("DOMContentLoaded",function(){let e=document.getElementById("state"),t=document.getElementById("cityContainer");e.addEventListener("change",function(){let e=this.value;if(t.innerHTML="",e&&citiesByState[e]){let i=document.createElement("select");i.setAttribute("id","city"),i.setAttribute("name","city"),i.setAttribute("required","required");let n=document.createElement("option");n.value="",n.text="Selecione a Cidade",n.disabled=!0,n.selected=!0,i.appendChild(n),citiesByState[e].forEach(e=>{let t=document.createElement("option");t.value=e,t.text=e,i.appendChild(t)}),t.appendChild(i)}else{let d=document.createElement("input");d.setAttribute("type","text"),d.setAttribute("id","city"),d.setAttribute("name","city"),d.setAttribute("required","required"),t.appendChild(d)}})});
\ No newline at end of file
+'use strict';
+
+/* ========================================
+   CITY SELECTOR (searchable combobox)
+======================================== */
+const CITY_MAX_RESULTS = 50;
+const CITY_INVALID_MESSAGE = t('validation.cityInvalid');
+
+const foldedCitiesCache = new Map();
+
+let stateSelect = null;
+let cityInput = null;
+let cityListbox = null;
+let cityMatches = [];
+let cityActiveIndex = -1;
+
+function citiesForState(uf) {
+  return (uf && citiesByState[uf]) ? citiesByState[uf] : [];
+}
+
+function foldedCitiesForState(uf) {
+  if (!foldedCitiesCache.has(uf)) {
+    foldedCitiesCache.set(uf, citiesForState(uf).map(city => ({ city, folded: foldText(city) })));
+  }
+  return foldedCitiesCache.get(uf);
+}
+
+// Exact, accent-insensitive match against the cities of one state.
+// Returns the canonical spelling or null.
+function findCity(uf, text) {
+  const needle = foldText(text);
+  if (!needle) return null;
+  const match = foldedCitiesForState(uf).find(entry => entry.folded === needle);
+  return match ? match.city : null;
+}
+
+// Prefix matches first, then substring matches, in alphabetical order.
+function filterCities(uf, query) {
+  const needle = foldText(query);
+  const entries = foldedCitiesForState(uf);
+  if (!needle) return entries.slice(0, CITY_MAX_RESULTS).map(entry => entry.city);
+
+  const starts = [];
+  const contains = [];
+  entries.forEach(entry => {
+    if (entry.folded.startsWith(needle)) starts.push(entry.city);
+    else if (entry.folded.includes(needle)) contains.push(entry.city);
+  });
+  return starts.concat(contains).slice(0, CITY_MAX_RESULTS);
+}
+
+/* ========================================
+   LISTBOX RENDERING
+======================================== */
+function openCityListbox() {
+  if (!cityInput || cityInput.disabled) return;
+  cityMatches = filterCities(stateSelect.value, cityInput.value);
+  cityActiveIndex = -1;
+  renderCityListbox();
+}
+
+function closeCityListbox() {
+  if (!cityListbox) return;
+  cityListbox.hidden = true;
+  cityListbox.innerHTML = '';
+  cityMatches = [];
+  cityActiveIndex = -1;
+  cityInput.setAttribute('aria-expanded', 'false');
+  cityInput.removeAttribute('aria-activedescendant');
+}
+
+function renderCityListbox() {
+  cityListbox.innerHTML = '';
+
+  if (cityMatches.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'city-option city-option-empty';
+    empty.textContent = t('city.noResults');
+    cityListbox.appendChild(empty);
+  }
+
+  cityMatches.forEach((city, idx) => {
+    const option = document.createElement('li');
+    option.id = `cityOption-${idx}`;
+    option.className = 'city-option';
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', idx === cityActiveIndex ? 'true' : 'false');
+    option.dataset.city = city;
+    option.textContent = city;
+    if (idx === cityActiveIndex) option.classList.add('active');
+    cityListbox.appendChild(option);
+  });
+
+  cityListbox.hidden = false;
+  cityInput.setAttribute('aria-expanded', 'true');
+
+  if (cityActiveIndex >= 0) {
+    const active = document.getElementById(`cityOption-${cityActiveIndex}`);
+    cityInput.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  } else {
+    cityInput.removeAttribute('aria-activedescendant');
+  }
+}
+
+function moveCityActive(delta) {
+  if (cityListbox.hidden) {
+    openCityListbox();
+  }
+  if (cityMatches.length === 0) return;
+  cityActiveIndex = (cityActiveIndex + delta + cityMatches.length) % cityMatches.length;
+  renderCityListbox();
+}
+
+/* ========================================
+   VALUE & VALIDITY
+======================================== */
+function updateCityValidity() {
+  if (!cityInput) return false;
+  const isValid = !!findCity(stateSelect.value, cityInput.value);
+  cityInput.setCustomValidity(isValid || !cityInput.value.trim() ? '' : CITY_INVALID_MESSAGE);
+  return isValid;
+}
+
+function chooseCity(city) {
+  cityInput.value = city;
+  closeCityListbox();
+  updateCityValidity();
+  cityInput.dispatchEvent(new Event('input', { bubbles: true }));
+  cityInput.dispatchEvent(new Event('change', { bubbles: true }));
+}
+
+// Selects a state and one of its cities programmatically (e.g. from a CEP lookup).
+// Returns false when the city does not belong to that state.
+function setSelectedCity(uf, name) {
+  if (!stateSelect || !cityInput) return false;
+
+  if (uf && stateSelect.value !== uf) {
+    stateSelect.value = uf;
+    stateSelect.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  const city = findCity(stateSelect.value, name);
+  if (!city) return false;
+  chooseCity(city);
+  return true;
+}
+
+function resetCityForState() {
+  const uf = stateSelect.value;
+  cityInput.value = '';
+  cityInput.setCustomValidity('');
+  closeCityListbox();
+
+  if (citiesForState(uf).length > 0) {
+    cityInput.disabled = false;
+    cityInput.placeholder = t('city.searchPlaceholder');
+  } else {
+    cityInput.disabled = true;
+    cityInput.placeholder = t('city.chooseStateFirst');
+  }
+}
+
+/* ========================================
+   INIT
+======================================== */
+function initCitySelector() {
+  stateSelect = document.getElementById('state');
+  const container = document.getElementById('cityContainer');
+  cityInput = document.getElementById('city');
+  if (!stateSelect || !container || !cityInput) return;
+
+  cityInput.setAttribute('autocomplete', 'off');
+  cityInput.setAttribute('role', 'combobox');
+  cityInput.setAttribute('aria-autocomplete', 'list');
+  cityInput.setAttribute('aria-expanded', 'false');
+  cityInput.setAttribute('aria-controls', 'cityListbox');
+
+  cityListbox = document.createElement('ul');
+  cityListbox.id = 'cityListbox';
+  cityListbox.className = 'city-listbox';
+  cityListbox.setAttribute('role', 'listbox');
+  cityListbox.hidden = true;
+  cityInput.insertAdjacentElement('afterend', cityListbox);
+
+  stateSelect.addEventListener('change', resetCityForState);
+
+  cityInput.addEventListener('input', () => {
+    updateCityValidity();
+    openCityListbox();
+  });
+
+  cityInput.addEventListener('focus', openCityListbox);
+
+  cityInput.addEventListener('blur', () => {
+    const city = findCity(stateSelect.value, cityInput.value);
+    if (city && city !== cityInput.value) {
+      cityInput.value = city;
+    }
+    updateCityValidity();
+    closeCityListbox();
+  });
+
+  cityInput.addEventListener('keydown', e => {
+    switch (e.key) {
+      case 'ArrowDown':
+        e.preventDefault();
+        moveCityActive(1);
+        break;
+      case 'ArrowUp':
+        e.preventDefault();
+        moveCityActive(-1);
+        break;
+      case 'Enter':
+        if (!cityListbox.hidden) {
+          e.preventDefault();
+          const city = cityActiveIndex >= 0 ? cityMatches[cityActiveIndex] : (cityMatches.length === 1 ? cityMatches[0] : null);
+          if (city) chooseCity(city);
+        }
+        break;
+      case 'Escape':
+        if (!cityListbox.hidden) {
+          e.preventDefault();
+          closeCityListbox();
+        }
+        break;
+    }
+  });
+
+  // mousedown keeps focus on the input so blur doesn't close the list first
+  cityListbox.addEventListener('mousedown', e => {
+    const option = e.target.closest('.city-option[data-city]');
+    if (!option) return;
+    e.preventDefault();
+    chooseCity(option.dataset.city);
+  });
+
+  resetCityForState();
+}
+
+document.addEventListener('DOMContentLoaded', initCitySelector);
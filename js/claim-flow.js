@@ -0,0 +1,125 @@
+'use strict';
+
+/* ========================================
+   CODE-FIRST CLAIM FLOW
+======================================== */
+// Alternative to "pick a prize, then type the code": the winner types the
+// secret code first, the backend answers with the tier it unlocks and the
+// catalog shows only that tier. The code is then prefilled in the order form.
+const CLAIM_MIN_CODE_LENGTH = 5;
+
+let claimedCode = null; // { code, tier }
+let claimForm;
+let claimCodeInput;
+let claimSubmitBtn;
+let claimMessage;
+let claimActive;
+
+function claimTierLabel(tierId) {
+  const header = document.querySelector(`#catalog .reward-tier[data-tier="${tierId}"] .tier-header`);
+  return header ? header.textContent.trim() : tierId;
+}
+
+function tierInCatalog(tierId) {
+  return !!document.querySelector(`#catalog .reward-tier[data-tier="${tierId}"]`);
+}
+
+// Shown when a code is valid but was typed for a prize of another tier.
+function wrongTierMessage(tierId) {
+  if (!tierId) return t('code.wrongTier');
+  return t('code.wrongTierNamed', { tier: claimTierLabel(tierId) });
+}
+
+function setClaimMessage(text, color) {
+  claimMessage.textContent = text || '';
+  claimMessage.style.color = color || '';
+}
+
+/* ========================================
+   STATE
+======================================== */
+function activateClaim(code, tierId) {
+  claimedCode = { code, tier: tierId };
+  setCatalogTierFilter(tierId);
+
+  claimForm.hidden = true;
+  claimActive.hidden = false;
+  document.getElementById('claimActiveText').textContent = t('claim.active', { tier: claimTierLabel(tierId) });
+  setClaimMessage('');
+  catalog.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+function resetClaim() {
+  claimedCode = null;
+  setCatalogTierFilter('');
+  claimActive.hidden = true;
+  claimForm.hidden = false;
+  claimCodeInput.value = '';
+  setClaimMessage('');
+  claimCodeInput.focus();
+}
+
+// Called when the order modal opens; fills in the code already checked.
+function prefillClaimedCode(card) {
+  const input = document.getElementById('secretCode');
+  if (!claimedCode || !input || card.dataset.secret !== claimedCode.tier) return;
+  input.value = claimedCode.code;
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+}
+
+/* ========================================
+   SUBMIT
+======================================== */
+async function submitClaimCode(code) {
+  const waitMs = codeAttemptDelay();
+  if (waitMs > 0) {
+    setClaimMessage(codeThrottledMessage(waitMs), '#F59E0B');
+    return;
+  }
+
+  claimSubmitBtn.disabled = true;
+  setClaimMessage(t('claim.checking'), '#2D1B4E');
+
+  try {
+    const result = await lookupSecretCode(code, { ref: currentMentorRef() });
+    if (result.status === 'valid' && result.tier && tierInCatalog(result.tier)) {
+      activateClaim(code, result.tier);
+    } else if (result.status === 'valid') {
+      setClaimMessage(t('claim.unavailable'), '#F59E0B');
+    } else if (result.status === 'used') {
+      setClaimMessage(t('code.used'), '#F59E0B');
+    } else {
+      setClaimMessage(t('code.invalid'), '#F59E0B');
+    }
+  } catch (err) {
+    console.error('Erro ao verificar código:', err);
+    setClaimMessage(apiErrorMessage(err), '#F59E0B');
+  } finally {
+    claimSubmitBtn.disabled = false;
+  }
+}
+
+/* ========================================
+   INIT
+======================================== */
+function initClaimFlow() {
+  claimForm = document.getElementById('claimForm');
+  claimCodeInput = document.getElementById('claimCode');
+  claimSubmitBtn = document.getElementById('claimSubmitBtn');
+  claimMessage = document.getElementById('claimMessage');
+  claimActive = document.getElementById('claimActive');
+  if (!claimForm) return;
+
+  claimForm.addEventListener('submit', e => {
+    e.preventDefault();
+    const code = claimCodeInput.value.trim();
+    if (code.length < CLAIM_MIN_CODE_LENGTH) {
+      setClaimMessage(t('claim.incomplete'), '#F59E0B');
+      claimCodeInput.focus();
+      return;
+    }
+    submitClaimCode(code);
+  });
+
+  document.getElementById('claimResetBtn').addEventListener('click', resetClaim);
+}
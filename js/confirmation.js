@@ -0,0 +1,113 @@
+'use strict';
+
+/* ========================================
+   CONFIRMATION PAGE
+======================================== */
+const urlParams = new URLSearchParams(window.location.search);
+const orderId = urlParams.get('pedido');
+// Can be reopened any time (e.g. from "Meus pedidos"); sending the same code
+// twice is blocked on index.html instead, see order-history.js.
+
+let currentOrder = null;
+
+function setDetail(id, value) {
+  document.getElementById(id).textContent = value || '';
+}
+
+// CPF and phone are masked again here: a backend response may carry them in full.
+function renderOrder(order) {
+  currentOrder = order;
+
+  document.getElementById('productImg').src = order.productImg || '';
+  setDetail('productName', order.productName);
+  setDetail('secretCode', order.secretCode || 'CODIGO');
+  setDetail('orderIdLabel', orderId);
+  setDetail('fullName', order.fullName);
+  setDetail('cpf', maskCpf(order.cpf));
+  setDetail('phone', maskPhoneNumber(order.phone));
+  setDetail('platform', order.platform);
+  setDetail('gameId', order.gameId);
+  setDetail('address', [order.street, order.number].filter(Boolean).join(', '));
+  setDetail('neighborhood', order.neighborhood);
+  setDetail('cityState', [order.city, order.state].filter(Boolean).join(' - '));
+  setDetail('zip', order.zip);
+
+  const fallbacks = Array.isArray(order.fallbacks) ? order.fallbacks : [];
+  setDetail('fallbacks', fallbacks.map((f, i) => t('fallback.ranked', { rank: i + 1, name: f.name })).join(' · '));
+  document.getElementById('fallbacksRow').hidden = fallbacks.length === 0;
+
+  setDetail('orderDate', formatDateTime(order.createdAt || new Date()));
+
+  renderReceiptQr(orderId, order);
+  document.getElementById('receiptActions').hidden = false;
+  document.getElementById('shareReceiptBtn').hidden = typeof navigator.share !== 'function';
+}
+
+function renderOrderNotFound() {
+  setDetail('productName', t('confirmation.notFound'));
+  setDetail('secretCode', '—');
+}
+
+async function loadConfirmation() {
+  if (!orderId) {
+    window.location.href = 'index.html';
+    return;
+  }
+
+  // Without the receipt token held by this device the backend won't
+  // return the order, so only the local handoff is left.
+  const handoff = readOrderHandoff(orderId);
+  const receiptToken = (handoff && handoff.receiptToken) || receiptTokenFor(orderId);
+
+  let order = null;
+  if (!orderId.startsWith('local-') && receiptToken) {
+    try {
+      order = await fetchOrder(orderId, receiptToken);
+      if (order && !order.receiptToken) order = { ...order, receiptToken };
+    } catch (err) {
+      console.warn('Falha ao buscar pedido no servidor:', err);
+    }
+  }
+  if (!order) {
+    order = handoff;
+  }
+
+  if (order) {
+    renderOrder(order);
+  } else {
+    renderOrderNotFound();
+  }
+}
+
+function setReceiptMessage(text) {
+  document.getElementById('receiptMessage').textContent = text || '';
+}
+
+function receiptReady() {
+  if (!currentOrder) return false;
+  if (!receiptLibrariesLoaded()) {
+    setReceiptMessage(t('confirmation.receiptError'));
+    return false;
+  }
+  setReceiptMessage('');
+  return true;
+}
+
+function downloadReceipt() {
+  if (receiptReady()) downloadReceiptPdf(orderId, currentOrder);
+}
+
+async function shareReceipt() {
+  if (!receiptReady()) return;
+  try {
+    await shareReceiptPdf(orderId, currentOrder);
+  } catch (err) {
+    console.warn('Falha ao compartilhar comprovante:', err);
+    setReceiptMessage(t('confirmation.shareError'));
+  }
+}
+
+document.addEventListener('contextmenu', (e) => e.preventDefault());
+
+applyTranslations(document);
+loadConfirmation();
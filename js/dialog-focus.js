@@ -0,0 +1,77 @@
+'use strict';
+
+/* ========================================
+   MODAL DIALOG FOCUS
+======================================== */
+// Keyboard side of the modal dialogs (WAI-ARIA dialog pattern): focus moves
+// into the dialog when it opens, Tab / Shift+Tab wrap around inside it,
+// Escape closes it, and focus returns to whatever opened it on close.
+// Only one dialog is open at a time.
+const DIALOG_FOCUSABLE_SELECTOR = [
+  'a[href]',
+  'button:not([disabled])',
+  'input:not([disabled]):not([type="hidden"])',
+  'select:not([disabled])',
+  'textarea:not([disabled])',
+  '[tabindex]:not([tabindex="-1"])'
+].join(',');
+
+let activeDialog = null;
+
+function dialogFocusables(dialog) {
+  return Array.from(dialog.querySelectorAll(DIALOG_FOCUSABLE_SELECTOR))
+    .filter(node => node.getAttribute('tabindex') !== '-1' && !node.closest('[hidden], [aria-hidden="true"]'));
+}
+
+// Calling it again for the open dialog keeps the original return target.
+function activateDialog(dialog, { initialFocus, onEscape } = {}) {
+  if (!activeDialog || activeDialog.dialog !== dialog) {
+    activeDialog = { dialog, returnFocus: document.activeElement, onEscape };
+  }
+  (initialFocus || dialog).focus();
+}
+
+function deactivateDialog(dialog) {
+  if (!activeDialog || activeDialog.dialog !== dialog) return;
+  const { returnFocus } = activeDialog;
+  activeDialog = null;
+  if (returnFocus && returnFocus !== document.body && document.contains(returnFocus)) {
+    returnFocus.focus();
+  }
+}
+
+function wrapDialogFocus(e) {
+  const nodes = dialogFocusables(activeDialog.dialog);
+  if (nodes.length === 0) {
+    e.preventDefault();
+    return;
+  }
+  const first = nodes[0];
+  const last = nodes[nodes.length - 1];
+  const inside = activeDialog.dialog.contains(document.activeElement);
+  if (e.shiftKey && (!inside || document.activeElement === first || document.activeElement === activeDialog.dialog)) {
+    e.preventDefault();
+    last.focus();
+  } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+    e.preventDefault();
+    first.focus();
+  }
+}
+
+document.addEventListener('keydown', e => {
+  if (!activeDialog || e.defaultPrevented) return;
+  if (e.key === 'Escape') {
+    // Widgets inside (e.g. the city list) handle their own Escape first
+    e.preventDefault();
+    if (activeDialog.onEscape) activeDialog.onEscape();
+  } else if (e.key === 'Tab') {
+    wrapDialogFocus(e);
+  }
+});
+
+// Focus that lands behind the dialog (a click on the backdrop, a screen
+// reader jump) is pulled back inside.
+document.addEventListener('focusin', e => {
+  if (!activeDialog || activeDialog.dialog.contains(e.target)) return;
+  activeDialog.dialog.focus();
+});
@@ -0,0 +1,183 @@
+'use strict';
+
+/* ========================================
+   INPUT MASKS
+======================================== */
+// "0" in a pattern is a digit slot, anything else is a literal
+// that gets inserted as soon as the next digit is typed.
+function applyDigitMask(value, pattern) {
+  const digits = String(value || '').replace(/\D/g, '');
+  let out = '';
+  let di = 0;
+  for (let i = 0; i < pattern.length && di < digits.length; i++) {
+    if (pattern[i] === '0') {
+      out += digits[di++];
+    } else {
+      out += pattern[i];
+    }
+  }
+  return out;
+}
+
+// Where the caret goes after `raw` is reformatted to `masked`: right after
+// as many letters/digits as preceded it, so mask characters added or removed
+// before it don't push it to the end while editing mid-field.
+function maskedCaretPosition(raw, caret, masked) {
+  const significant = /[A-Za-z0-9]/;
+  const keptBefore = Array.from(raw.slice(0, caret)).filter(ch => significant.test(ch)).length;
+  if (keptBefore === 0) return 0;
+  let seen = 0;
+  for (let i = 0; i < masked.length; i++) {
+    if (significant.test(masked[i]) && ++seen === keptBefore) return i + 1;
+  }
+  return masked.length;
+}
+
+function maskPhone(value) {
+  const digits = String(value || '').replace(/\D/g, '').slice(0, 11);
+  return applyDigitMask(digits, digits.length > 10 ? '(00) 00000-0000' : '(00) 0000-0000');
+}
+
+/* ========================================
+   BRAZILIAN FORMAT CHECKS
+======================================== */
+const BRAZIL_DDDS = new Set([
+  11, 12, 13, 14, 15, 16, 17, 18, 19,
+  21, 22, 24, 27, 28,
+  31, 32, 33, 34, 35, 37, 38,
+  41, 42, 43, 44, 45, 46, 47, 48, 49,
+  51, 53, 54, 55,
+  61, 62, 63, 64, 65, 66, 67, 68, 69,
+  71, 73, 74, 75, 77, 79,
+  81, 82, 83, 84, 85, 86, 87, 88, 89,
+  91, 92, 93, 94, 95, 96, 97, 98, 99
+]);
+
+// DDD + 9 digits starting with 9 (mobile) or 8 digits starting with 2-5 (landline).
+function isValidBrazilianPhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  if (digits.length !== 10 && digits.length !== 11) return false;
+  if (!BRAZIL_DDDS.has(parseInt(digits.slice(0, 2), 10))) return false;
+  const local = digits.slice(2);
+  return local.length === 9 ? local[0] === '9' : /^[2-5]/.test(local);
+}
+
+/* ========================================
+   FORM VALIDATOR
+======================================== */
+// rules: { [fieldName]: { mask?, required?, validate?(value, form), dependsOn? } }
+//   mask       (value) => masked value, applied while typing
+//   required   message shown when a touched field is empty
+//   validate   returns an error message, or '' when valid
+//   dependsOn  other field names whose changes re-run this rule
+//
+// Errors are shown inline under each field once it has been touched
+// (blurred or submitted); validity is always kept in sync through
+// setCustomValidity so form.checkValidity() reflects every rule.
+function createFormValidator(form, rules) {
+  const touched = new Set();
+
+  function fieldInput(name) {
+    return form.querySelector(`[name="${name}"]`);
+  }
+
+  function errorElement(name) {
+    let node = document.getElementById(`${name}Error`);
+    if (node) return node;
+
+    const input = fieldInput(name);
+    node = document.createElement('small');
+    node.id = `${name}Error`;
+    node.className = 'field-error';
+    node.setAttribute('aria-live', 'polite');
+    const anchor = input.parentElement === form ? input : input.parentElement;
+    anchor.insertAdjacentElement('afterend', node);
+    return node;
+  }
+
+  function showMessage(name, text, color) {
+    const input = fieldInput(name);
+    const node = errorElement(name);
+    node.textContent = text || '';
+    node.style.color = color || '';
+    if (!input) return;
+    if (text) input.setAttribute('aria-describedby', node.id);
+    if (text && !color) {
+      input.setAttribute('aria-invalid', 'true');
+    } else {
+      input.removeAttribute('aria-invalid');
+    }
+  }
+
+  function messageFor(name) {
+    const rule = rules[name];
+    const input = fieldInput(name);
+    const value = input.value.trim();
+    if (!value) return touched.has(name) ? (rule.required || '') : '';
+    return rule.validate ? rule.validate(value, form) : '';
+  }
+
+  function validateField(name, { touch = false } = {}) {
+    const input = fieldInput(name);
+    if (!input || !rules[name]) return true;
+    if (touch) touched.add(name);
+
+    const message = messageFor(name);
+    input.setCustomValidity(message);
+    if (touched.has(name)) showMessage(name, message);
+    return !message && (input.value.trim() !== '' || !input.required);
+  }
+
+  // Checks a subset of fields, e.g. one step of a multi-step form.
+  function validateFields(names, { touch = true } = {}) {
+    let firstInvalid = null;
+    names.forEach(name => {
+      if (!validateField(name, { touch }) && !firstInvalid) firstInvalid = fieldInput(name);
+    });
+    return { valid: !firstInvalid, firstInvalid };
+  }
+
+  function validateAll({ touch = true } = {}) {
+    return validateFields(Object.keys(rules), { touch });
+  }
+
+  function reset() {
+    touched.clear();
+    Object.keys(rules).forEach(name => {
+      const input = fieldInput(name);
+      if (input) input.setCustomValidity('');
+      showMessage(name, '');
+    });
+  }
+
+  Object.entries(rules).forEach(([name, rule]) => {
+    const input = fieldInput(name);
+    if (!input) return;
+    // Live regions must exist before their text changes to be announced
+    errorElement(name);
+
+    input.addEventListener('input', () => {
+      if (rule.mask) {
+        const raw = input.value;
+        const masked = rule.mask(raw);
+        if (masked !== raw) {
+          const caret = input.selectionStart;
+          input.value = masked;
+          if (caret !== null && document.activeElement === input) {
+            const position = maskedCaretPosition(raw, caret, masked);
+            input.setSelectionRange(position, position);
+          }
+        }
+      }
+      validateField(name);
+    });
+    input.addEventListener('blur', () => validateField(name, { touch: true }));
+
+    (rule.dependsOn || []).forEach(dep => {
+      const depInput = fieldInput(dep);
+      if (depInput) depInput.addEventListener('change', () => validateField(name));
+    });
+  });
+
+  return { validateField, validateFields, validateAll, showMessage, reset };
+}
@@ -0,0 +1,165 @@
+'use strict';
+
+/* ========================================
+   I18N
+======================================== */
+// Message catalogs live in js/locales/<locale>.js and register themselves with
+// registerMessages(). pt-BR is the default and the fallback for any key a
+// bundle lacks. The locale is picked once per page load from, in order:
+// ?lang=, the language switcher (localStorage), the browser languages, pt-BR.
+// Switching reloads the page, so strings can be read at script load.
+//
+// Messages may use {name} placeholders, and plural messages are objects keyed
+// by Intl.PluralRules category: { one: '1 prêmio', other: '{count} prêmios' }.
+//
+// In HTML:
+//   data-i18n="key"                         textContent
+//   data-i18n-html="key"                    innerHTML (bundles are trusted)
+//   data-i18n-attr="placeholder:key;aria-label:key2"
+const I18N_DEFAULT_LOCALE = 'pt-BR';
+const I18N_LOCALES = ['pt-BR', 'es', 'en'];
+const I18N_STORAGE_KEY = 'locale';
+const I18N_QUERY_PARAM = 'lang';
+
+const messageCatalogs = {};
+let activeLocale = I18N_DEFAULT_LOCALE;
+let messageDefaults = {};
+
+function registerMessages(locale, messages) {
+  messageCatalogs[locale] = { ...(messageCatalogs[locale] || {}), ...messages };
+}
+
+// Placeholders filled in every message unless the caller passes its own
+// (e.g. {brand}, see brand.js).
+function setMessageDefaults(params) {
+  messageDefaults = { ...messageDefaults, ...params };
+}
+
+// 'es-AR' -> 'es', 'pt' -> 'pt-BR', 'fr' -> null
+function matchLocale(tag) {
+  if (!tag) return null;
+  const lower = String(tag).trim().toLowerCase();
+  const exact = I18N_LOCALES.find(locale => locale.toLowerCase() === lower);
+  if (exact) return exact;
+  const language = lower.split('-')[0];
+  return I18N_LOCALES.find(locale => locale.toLowerCase().split('-')[0] === language) || null;
+}
+
+function detectLocale() {
+  const fromQuery = matchLocale(new URLSearchParams(window.location.search).get(I18N_QUERY_PARAM));
+  try {
+    // A ?lang= link also sets the language for the next pages
+    if (fromQuery) localStorage.setItem(I18N_STORAGE_KEY, fromQuery);
+    const stored = matchLocale(localStorage.getItem(I18N_STORAGE_KEY));
+    if (stored) return stored;
+  } catch (err) {
+    if (fromQuery) return fromQuery;
+  }
+  const browser = navigator.languages && navigator.languages.length > 0 ? navigator.languages : [navigator.language];
+  for (const tag of browser) {
+    const locale = matchLocale(tag);
+    if (locale) return locale;
+  }
+  return I18N_DEFAULT_LOCALE;
+}
+
+function currentLocale() {
+  return activeLocale;
+}
+
+function setLocale(locale) {
+  const matched = matchLocale(locale);
+  if (!matched || matched === activeLocale) return;
+  try {
+    localStorage.setItem(I18N_STORAGE_KEY, matched);
+  } catch (err) {
+    // storage unavailable: the choice lasts for this page only
+  }
+  const url = new URL(window.location.href);
+  url.searchParams.delete(I18N_QUERY_PARAM);
+  if (url.toString() === window.location.href) window.location.reload();
+  else window.location.replace(url.toString());
+}
+
+/* ========================================
+   MESSAGES
+======================================== */
+function lookupMessage(key) {
+  const own = messageCatalogs[activeLocale] && messageCatalogs[activeLocale][key];
+  if (own !== undefined) return own;
+  return messageCatalogs[I18N_DEFAULT_LOCALE] && messageCatalogs[I18N_DEFAULT_LOCALE][key];
+}
+
+function hasMessage(key) {
+  return lookupMessage(key) !== undefined;
+}
+
+function t(key, params = {}) {
+  params = { ...messageDefaults, ...params };
+  let message = lookupMessage(key);
+  if (message === undefined) {
+    console.warn(`i18n: mensagem "${key}" não encontrada`);
+    return key;
+  }
+  if (typeof message === 'object') {
+    const category = new Intl.PluralRules(activeLocale).select(Number(params.count) || 0);
+    message = message[category] !== undefined ? message[category] : message.other;
+  }
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const value = params[name];
+    if (value === undefined || value === null) return placeholder;
+    return typeof value === 'number' ? formatNumber(value) : String(value);
+  });
+}
+
+/* ========================================
+   FORMATTING
+======================================== */
+const DATE_TIME_FORMAT = { day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit' };
+
+// '' for a missing or unparseable date.
+function formatDateTime(value, options = DATE_TIME_FORMAT) {
+  if (!value) return '';
+  const date = value instanceof Date ? value : new Date(value);
+  if (isNaN(date.getTime())) return '';
+  return date.toLocaleString(activeLocale, options);
+}
+
+function formatNumber(value, options) {
+  return Number(value).toLocaleString(activeLocale, options);
+}
+
+/* ========================================
+   DOM
+======================================== */
+function applyTranslations(root = document) {
+  if (root === document) document.documentElement.lang = activeLocale;
+
+  root.querySelectorAll('[data-i18n]').forEach(node => {
+    node.textContent = t(node.dataset.i18n);
+  });
+  root.querySelectorAll('[data-i18n-html]').forEach(node => {
+    node.innerHTML = t(node.dataset.i18nHtml);
+  });
+  root.querySelectorAll('[data-i18n-attr]').forEach(node => {
+    node.dataset.i18nAttr.split(';').forEach(pair => {
+      const [attr, key] = pair.split(':').map(part => part.trim());
+      if (attr && key) node.setAttribute(attr, t(key));
+    });
+  });
+}
+
+// Each option is labelled in its own language, so it is recognisable
+// whatever the current one is.
+function initLanguageSwitcher(select) {
+  if (!select) return;
+  select.innerHTML = '';
+  I18N_LOCALES.forEach(locale => {
+    const catalog = messageCatalogs[locale] || {};
+    select.appendChild(new Option(catalog['locale.name'] || locale, locale));
+  });
+  select.value = activeLocale;
+  select.addEventListener('change', () => setLocale(select.value));
+}
+
+activeLocale = detectLocale();
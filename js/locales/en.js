@@ -0,0 +1,300 @@
+'use strict';
+
+/* ========================================
+   MESSAGES: en
+======================================== */
+registerMessages('en', {
+  'locale.name': 'English',
+  'language.label': 'Language',
+
+  /* ---- Shared ---- */
+  'api.timeout': '⏱️ Slow connection. Please try again.',
+  'api.network': '📶 Can\'t reach the server. Check your internet connection.',
+  'api.rateLimited': '⏳ Too many attempts. Wait a moment and try again.',
+  'api.server': '🛠️ Server unavailable right now. Try again in a moment.',
+  'api.generic': '❌ Communication error. Please try again.',
+  'common.backToShop': '← Back to the shop',
+  'common.product': 'Product',
+  'common.prize': 'Prize',
+  'common.close': 'Close',
+  'fallback.ranked': '{rank}. {name}',
+
+  'detail.name': 'Name',
+  'detail.cpf': 'CPF',
+  'detail.phone': 'Phone',
+  'detail.platform': 'Platform',
+  'detail.gameId': 'Game ID',
+  'detail.address': 'Address',
+  'detail.complement': 'Address line 2',
+  'detail.neighborhood': 'Neighborhood',
+  'detail.city': 'City',
+  'detail.zip': 'CEP',
+  'detail.code': 'Code',
+  'detail.fallbacks': 'Backups',
+  'detail.order': 'Order',
+  'detail.date': 'Date',
+  'detail.prize': 'Prize',
+  'detail.status': 'Status',
+
+  'orderState.received': 'Order received',
+  'orderState.approved': 'Order approved',
+  'orderState.shipped': 'Order shipped',
+  'orderState.delivered': 'Prize delivered',
+  'orderState.cancelled': 'Order cancelled',
+
+  /* ---- index.html ---- */
+  'index.pageTitle': '{brand} - PRIZES',
+  'index.loading': '🛒 Opening the {brand} Shop...',
+  'header.subtitle': 'the platform with the biggest bonuses in Brazil!',
+  'header.slogan': 'Because where there is gratitude, there is generosity.',
+  'mentor.title': 'CONTACT YOUR MENTOR TO GET YOUR PRIZE',
+  'mentor.noCodeTitle': 'No Secret Code? Find a mentor',
+  'links.trackOrder': '📦 Already ordered? Track it here',
+  'links.myOrders': '🧾 My orders',
+
+  'claim.title': '🎁 GOT YOUR SECRET CODE?',
+  'claim.subtitle': 'Enter the code to see only the prizes it unlocks.',
+  'claim.placeholder': 'Your secret code',
+  'claim.inputLabel': 'Secret code',
+  'claim.submit': 'SHOW MY PRIZES',
+  'claim.reset': 'Use another code',
+  'claim.checking': 'Checking code...',
+  'claim.active': '✓ Valid code! It unlocks the "{tier}" prizes. Pick yours below.',
+  'claim.unavailable': '⚠️ This code\'s prizes aren\'t available right now. Talk to your mentor.',
+  'claim.incomplete': 'Enter the full secret code.',
+
+  'search.placeholder': '🔍 Search prizes (e.g. watch, earbuds)',
+  'search.label': 'Search prizes',
+  'search.tagsLabel': 'Filter by category',
+  'search.count': { one: '{count} prize found', other: '{count} prizes found' },
+  'search.noResults': 'No prizes match this search.',
+  'search.noResultsPrompt': 'Didn\'t find what you wanted?',
+  'search.talkToMentor': 'Talk to your mentor',
+  'search.or': 'or',
+  'search.showAll': 'see all prizes',
+
+  'catalog.seeMore': 'SEE MORE',
+  'catalog.seeLess': 'SEE LESS',
+  'catalog.soldOut': 'SOLD OUT',
+  'catalog.loadError': 'Couldn\'t load the catalog. Please try again later.',
+  'catalog.manifestErrors': { one: '⚠️ manifest.json has {count} error:', other: '⚠️ manifest.json has {count} errors:' },
+  'catalog.manifestMoreErrors': '… and {count} more',
+
+  'tag.cozinha': 'kitchen',
+  'tag.relogio': 'watch',
+  'tag.fone': 'earbuds',
+  'tag.casa': 'home',
+  'tag.garrafa': 'bottle',
+  'tag.bolsa': 'bag',
+  'tag.games': 'games',
+  'tag.ferramentas': 'tools',
+  'tag.beleza': 'beauty',
+  'tag.esporte': 'sports',
+  'tag.festa': 'party',
+  'tag.lanches': 'snacks',
+
+  /* ---- Order form ---- */
+  'order.title': 'CLAIM YOUR PRIZE!!',
+  'wizard.personal': 'Personal details',
+  'wizard.address': 'Address',
+  'wizard.account': '{account} account',
+  'wizard.code': 'Secret code',
+  'wizard.review': 'Review',
+  'wizard.personalTitle': '1. PERSONAL DETAILS',
+  'wizard.addressTitle': '2. DELIVERY ADDRESS',
+  'wizard.accountTitle': '3. {account} ACCOUNT',
+  'wizard.codeTitle': '4. SECRET CODE',
+  'wizard.reviewTitle': '5. CHECK YOUR DETAILS',
+  'wizard.next': 'CONTINUE',
+  'wizard.prev': 'BACK',
+
+  'draft.saved': '📝 Your details (except the CPF) are saved on this device for 2h.',
+  'draft.clear': '🗑️ clear details',
+  'draft.confirmClear': 'Delete all the details filled in on this device?',
+
+  'field.fullName': 'FULL NAME',
+  'field.fullNamePlaceholder': 'Must match the name on your CPF',
+  'field.phone': 'PHONE NUMBER',
+  'field.zip': 'CEP (POSTAL CODE)',
+  'field.zipPlaceholder': 'E.g. 01311-200',
+  'field.zipHelp': 'Enter the CEP as 00000-000',
+  'field.state': 'STATE',
+  'field.statePlaceholder': 'Select the state',
+  'field.city': 'CITY',
+  'field.cityHelp': 'Use the STATE-CITY that matches the CEP',
+  'field.neighborhood': 'NEIGHBORHOOD',
+  'field.neighborhoodPlaceholder': 'E.g. Moema, Barra da Tijuca, Santa Cecília',
+  'field.street': 'STREET / AVENUE',
+  'field.streetPlaceholder': 'E.g. Rua das Flores, Avenida Paulista',
+  'field.streetHelp': 'Enter your street or avenue',
+  'field.number': 'NUMBER',
+  'field.numberPlaceholder': 'E.g. 45 (or type SN if there is no number)',
+  'field.numberHelp': 'Type SN if there is no number',
+  'field.address': 'ADDRESS LINE 2/NEARBY LANDMARKS/BUILDING DESCRIPTION',
+  'field.addressPlaceholder': 'E.g. Apt 101, Block B',
+  'field.addressHelp': 'Enter apartment, block, unit, etc.',
+  'field.platform': 'PLATFORM',
+  'field.platformPlaceholder': 'Choose the platform',
+  'field.platformHelp': 'Choose the right platform',
+  'field.gameId': 'GAME ID',
+  'field.cpf': 'CPF',
+  'field.cpfHelp': 'Enter the CPF already registered with POP',
+  'field.secretCode': 'SECRET CODE',
+  'field.secretCodeHelp': '<em>Psst!</em> Ask your mentor for the code!',
+
+  'fallback.legend': 'BACKUP PRIZES (OPTIONAL)',
+  'fallback.help': 'If your prize sells out, we\'ll send one of these, in this order.',
+  'fallback.first': '1st choice',
+  'fallback.second': '2nd choice',
+  'fallback.none': 'None',
+
+  'review.intro': 'Wrong details cancel the prize. Check everything before sending.',
+  'review.edit': 'edit',
+  'review.editSection': 'Edit {section}',
+  'terms.attention': '⚠️ ATTENTION ⚠️',
+  'terms.wrongData': 'Make sure you enter your details correctly; otherwise the order will be cancelled and the prize will not be delivered.',
+  'terms.singleUse': 'The Secret Code is unique and can only be used once, so fill in all the details correctly.',
+  'terms.delays': 'We are not responsible for delays caused by incorrect details or external factors.',
+  'order.submit': 'SEND ORDER',
+
+  'validation.fullNameRequired': 'Enter your full name',
+  'validation.fullNameInvalid': 'Enter first and last name, as on your CPF',
+  'validation.phoneRequired': 'Enter your phone number with area code (DDD)',
+  'validation.phoneInvalid': 'Invalid phone. Use DDD + number, e.g. (11) 91234-5678',
+  'validation.zipRequired': 'Enter your CEP',
+  'validation.zipLength': 'The CEP must have 8 digits (00000-000)',
+  'validation.zipUnknown': 'CEP {cep} does not exist.',
+  'validation.zipWrongState': 'CEP {cep} is in {cepState}, not {state}.',
+  'validation.stateRequired': 'Select the state',
+  'validation.cityRequired': 'Choose your city from the list',
+  'validation.cityInvalid': 'Select a city from the chosen state\'s list',
+  'validation.neighborhoodRequired': 'Enter your neighborhood',
+  'validation.streetRequired': 'Enter your street or avenue',
+  'validation.numberRequired': 'Enter the number or SN',
+  'validation.numberInvalid': 'Use digits only, or SN if there is no number',
+  'validation.addressRequired': 'Enter address line 2 or a landmark',
+  'validation.platformRequired': 'Choose the platform',
+  'validation.platformFirst': 'Choose the platform first',
+  'validation.gameIdRequired': 'Enter your Game ID',
+  'validation.gameIdInvalid': 'Invalid Game ID for {platform}',
+  'validation.withExample': '{message} (e.g. {example})',
+  'validation.cpfRequired': 'Enter your CPF',
+  'validation.cpfInvalid': 'Invalid CPF!',
+
+  'cep.searching': 'Looking up address...',
+  'cep.notFound': 'CEP not found. Check the number you entered.',
+  'cep.unavailable': 'Couldn\'t look up the CEP right now. Fill in the address manually.',
+  'cep.cityNotFound': 'City "{city}" is not in the list. Select it manually.',
+  'city.noResults': 'No cities found in this state',
+  'city.searchPlaceholder': 'Type to search for your city',
+  'city.chooseStateFirst': 'Choose your state first',
+
+  'platform.gameIdPlaceholder': 'Select the platform to see the format',
+  'platform.gameIdHint': 'Enter your Game ID on {platform}',
+  'platform.accountHint': 'Enter your Game ID on {account}',
+  'platform.popvaiPlaceholder': 'E.g. 123456789012 (12 digits)',
+  'platform.popvaiHint': 'Enter your Game ID on POP',
+  'platform.popvaiError': 'The Game ID must have 12 digits',
+
+  'code.selectProduct': 'Select a product first',
+  'code.preparing': 'Getting validation ready...',
+  'code.validating': 'Validating code...',
+  'code.valid': '✓ Valid code! You can send your order.',
+  'code.used': '⚠️ This code has already been used!',
+  'code.invalid': '✗ Invalid code!',
+  'code.throttled': 'Too many invalid code attempts. Try again in {seconds}s.',
+  'code.wrongTier': '⚠️ This code belongs to another prize level.',
+  'code.wrongTierNamed': '⚠️ This code is for the "{tier}" prizes. Choose a prize from that level.',
+  'code.waitValidation': 'Wait for the code to be validated or enter a valid code.',
+  'code.enterValid': 'Enter a valid secret code.',
+
+  'order.fixFields': 'Fix the highlighted fields and try again.',
+  'order.sending': 'Sending order...',
+  'order.noProduct': 'Error: no product detected.',
+  'order.sendError': 'Error sending the order. Please try again.',
+  'order.alreadySent': '⚠️ This code has already been sent.',
+  'order.viewReceipt': 'View receipt',
+
+  /* ---- confirmation.html ---- */
+  'confirmation.pageTitle': 'PRIZE CONFIRMATION - {brand}',
+  'confirmation.heading': 'CONGRATULATIONS',
+  'confirmation.subheading': 'WE HAVE RECEIVED YOUR PRIZE ORDER!',
+  'confirmation.codeLabel': 'Your Secret Code',
+  'confirmation.codeWarning': '⚠️ USE THIS CODE IN <span style="color: #000000;">TRACK ORDER</span> OR WITH <span style="color: #000000;">@{bot}</span> TO CHECK YOUR PRIZE ORDER STATUS.',
+  'confirmation.qrAlt': 'Order verification QR code',
+  'confirmation.qrText': 'Show this QR code to your mentor or to support: it confirms in our system that the receipt is genuine.',
+  'confirmation.download': 'DOWNLOAD RECEIPT',
+  'confirmation.share': 'SHARE',
+  'confirmation.saveWarning': '⚠️ SAVE THIS RECEIPT! It is also kept in MY ORDERS on this device. ⚠️',
+  'confirmation.trackOrder': '📦 TRACK ORDER 📦',
+  'confirmation.trackTelegram': '🤖 TRACK ON TELEGRAM 🤖',
+  'confirmation.myOrders': '🧾 MY ORDERS 🧾',
+  'confirmation.footer': 'We will contact you soon to confirm the delivery of your prize.',
+  'confirmation.notFound': 'Couldn\'t load this order.',
+  'confirmation.receiptError': 'Couldn\'t create the receipt. Check your internet and reload the page.',
+  'confirmation.shareError': 'Couldn\'t share. Use DOWNLOAD RECEIPT.',
+
+  'receipt.title': 'ORDER RECEIPT',
+  'receipt.brand': '{brand} - Prize Shop',
+  'receipt.orderNumber': 'Order no. {id}',
+  'receipt.secretCode': 'SECRET CODE',
+  'receipt.verifyTitle': 'Check that this receipt is genuine',
+  'receipt.verifyText': 'Point your phone camera at the QR code or open the link below. The confirmation comes straight from our system.',
+  'receipt.unverified': 'Order registered without online verification. Use the secret code in TRACK ORDER or with @{bot} to check its status.',
+  'receipt.shareTitle': '{brand} receipt - {product}',
+
+  /* ---- status.html ---- */
+  'status.pageTitle': 'TRACK ORDER - {brand}',
+  'status.heading': 'MY ORDER',
+  'status.subheading': 'Follow the delivery of your prize',
+  'status.codeLabel': 'SECRET CODE',
+  'status.cpfLabel': 'LAST 4 DIGITS OF YOUR CPF',
+  'status.cpfHelp': 'From the CPF you entered in the order',
+  'status.submit': 'CHECK',
+  'status.telegram': '🤖 Prefer Telegram? @{bot}',
+  'status.missingFields': 'Enter the secret code and the last 4 digits of your CPF.',
+  'status.searching': 'Looking up order...',
+  'status.notFound': 'Order not found. Check the code and the CPF.',
+  'status.tracking': 'Tracking: {number}',
+  'status.cancelReason': 'Reason: {reason}',
+  'status.cancelHelp': 'Talk to your mentor for details.',
+
+  /* ---- orders.html ---- */
+  'orders.pageTitle': 'MY ORDERS - {brand}',
+  'orders.heading': 'MY ORDERS',
+  'orders.subheading': 'Prizes ordered on this device',
+  'orders.intro': 'Open the receipt again whenever you need it. Only the prize, the date and part of the code are saved here.',
+  'orders.empty': 'No orders placed on this device yet.<br>Ordered from another phone? Use <a href="status.html">Track order</a> with the secret code.',
+  'orders.clearAll': '🗑️ clear this device\'s history',
+  'orders.trackOther': '📦 Track another order',
+  'orders.receipt': '📄 Receipt',
+  'orders.track': '📦 Track',
+  'orders.remove': 'remove',
+  'orders.removeLabel': 'Remove {product} from this list',
+  'orders.code': 'Code {code}',
+  'orders.localNote': 'No server number: track it with the secret code and CPF.',
+  'orders.confirmRemove': 'Remove this order from the list? The order stays valid.',
+  'orders.confirmClear': 'Delete all orders saved on this device? The orders stay valid.',
+
+  /* ---- verify.html ---- */
+  'verify.pageTitle': 'VERIFY RECEIPT - {brand}',
+  'verify.heading': 'VERIFY RECEIPT',
+  'verify.subheading': 'Check whether a prize receipt is genuine',
+  'verify.scanHint': '📷 Point your phone camera at the receipt\'s QR code: it opens this page and verifies right away.',
+  'verify.scan': '📷 SCAN QR CODE',
+  'verify.upload': '🖼️ UPLOAD A PHOTO OF THE RECEIPT',
+  'verify.cancel': 'CANCEL',
+  'verify.linkLabel': 'QR CODE LINK',
+  'verify.linkHelp': 'It is on the receipt PDF, under the QR code',
+  'verify.submit': 'VERIFY',
+  'verify.trackOrder': '📦 Track order',
+  'verify.checking': 'Verifying receipt...',
+  'verify.valid': '✓ Genuine receipt',
+  'verify.invalid': '✗ Receipt does not match',
+  'verify.validHint': 'Check that the details below match the receipt you were given.',
+  'verify.invalidHint': 'This order does not exist or the receipt was altered. Do not accept this receipt.',
+  'verify.unrecognized': 'QR code or link not recognised. Use the QR code on the {brand} receipt.',
+  'verify.cameraError': 'Couldn\'t open the camera. Upload a photo of the QR code or paste the link.',
+  'verify.noQrInImage': 'No QR code found in this image.',
+  'verify.imageError': 'Couldn\'t read this image.'
+});
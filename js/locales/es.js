@@ -0,0 +1,300 @@
+'use strict';
+
+/* ========================================
+   MESSAGES: es
+======================================== */
+registerMessages('es', {
+  'locale.name': 'Español',
+  'language.label': 'Idioma',
+
+  /* ---- Shared ---- */
+  'api.timeout': '⏱️ Conexión lenta. Inténtalo de nuevo.',
+  'api.network': '📶 Sin conexión con el servidor. Revisa tu internet.',
+  'api.rateLimited': '⏳ Demasiados intentos. Espera un poco y vuelve a intentarlo.',
+  'api.server': '🛠️ Servidor no disponible en este momento. Inténtalo de nuevo en unos instantes.',
+  'api.generic': '❌ Error de comunicación. Inténtalo de nuevo.',
+  'common.backToShop': '← Volver a la tienda',
+  'common.product': 'Producto',
+  'common.prize': 'Premio',
+  'common.close': 'Cerrar',
+  'fallback.ranked': '{rank}.ª {name}',
+
+  'detail.name': 'Nombre',
+  'detail.cpf': 'CPF',
+  'detail.phone': 'Teléfono',
+  'detail.platform': 'Plataforma',
+  'detail.gameId': 'ID de juego',
+  'detail.address': 'Dirección',
+  'detail.complement': 'Complemento',
+  'detail.neighborhood': 'Barrio',
+  'detail.city': 'Ciudad',
+  'detail.zip': 'CEP',
+  'detail.code': 'Código',
+  'detail.fallbacks': 'Reservas',
+  'detail.order': 'Pedido',
+  'detail.date': 'Fecha',
+  'detail.prize': 'Premio',
+  'detail.status': 'Estado',
+
+  'orderState.received': 'Pedido recibido',
+  'orderState.approved': 'Pedido aprobado',
+  'orderState.shipped': 'Pedido enviado',
+  'orderState.delivered': 'Premio entregado',
+  'orderState.cancelled': 'Pedido cancelado',
+
+  /* ---- index.html ---- */
+  'index.pageTitle': '{brand} - PREMIOS',
+  'index.loading': '🛒 Entrando a {brand} Shop...',
+  'header.subtitle': '¡la plataforma con los mayores bonos de Brasil!',
+  'header.slogan': 'Porque donde hay gratitud, hay generosidad.',
+  'mentor.title': 'CONTACTA AL MENTOR PARA OBTENER TU PREMIO',
+  'mentor.noCodeTitle': '¿No tienes Código Secreto? Encuentra un mentor',
+  'links.trackOrder': '📦 ¿Ya hiciste tu pedido? Síguelo aquí',
+  'links.myOrders': '🧾 Mis pedidos',
+
+  'claim.title': '🎁 ¿YA TIENES TU CÓDIGO SECRETO?',
+  'claim.subtitle': 'Escribe el código y mira solo los premios que desbloquea.',
+  'claim.placeholder': 'Tu código secreto',
+  'claim.inputLabel': 'Código secreto',
+  'claim.submit': 'VER MIS PREMIOS',
+  'claim.reset': 'Usar otro código',
+  'claim.checking': 'Verificando código...',
+  'claim.active': '✓ ¡Código válido! Desbloquea los premios de "{tier}". Elige el tuyo abajo.',
+  'claim.unavailable': '⚠️ Los premios de este código no están disponibles ahora. Habla con tu mentor.',
+  'claim.incomplete': 'Escribe el código secreto completo.',
+
+  'search.placeholder': '🔍 Buscar premio (ej.: reloj, auriculares)',
+  'search.label': 'Buscar premio',
+  'search.tagsLabel': 'Filtrar por categoría',
+  'search.count': { one: '{count} premio encontrado', other: '{count} premios encontrados' },
+  'search.noResults': 'No se encontró ningún premio para esta búsqueda.',
+  'search.noResultsPrompt': '¿No encontraste lo que buscabas?',
+  'search.talkToMentor': 'Habla con tu mentor',
+  'search.or': 'o',
+  'search.showAll': 'ver todos los premios',
+
+  'catalog.seeMore': 'VER MÁS',
+  'catalog.seeLess': 'VER MENOS',
+  'catalog.soldOut': 'AGOTADO',
+  'catalog.loadError': 'No se pudo cargar el catálogo. Inténtalo de nuevo más tarde.',
+  'catalog.manifestErrors': { one: '⚠️ manifest.json tiene {count} error:', other: '⚠️ manifest.json tiene {count} errores:' },
+  'catalog.manifestMoreErrors': '… y {count} más',
+
+  'tag.cozinha': 'cocina',
+  'tag.relogio': 'reloj',
+  'tag.fone': 'auriculares',
+  'tag.casa': 'hogar',
+  'tag.garrafa': 'botella',
+  'tag.bolsa': 'bolso',
+  'tag.games': 'juegos',
+  'tag.ferramentas': 'herramientas',
+  'tag.beleza': 'belleza',
+  'tag.esporte': 'deporte',
+  'tag.festa': 'fiesta',
+  'tag.lanches': 'snacks',
+
+  /* ---- Order form ---- */
+  'order.title': '¡¡RECLAMA TU PREMIO!!',
+  'wizard.personal': 'Datos personales',
+  'wizard.address': 'Dirección',
+  'wizard.account': 'Cuenta {account}',
+  'wizard.code': 'Código secreto',
+  'wizard.review': 'Revisión',
+  'wizard.personalTitle': '1. DATOS PERSONALES',
+  'wizard.addressTitle': '2. DIRECCIÓN DE ENTREGA',
+  'wizard.accountTitle': '3. CUENTA {account}',
+  'wizard.codeTitle': '4. CÓDIGO SECRETO',
+  'wizard.reviewTitle': '5. REVISA TUS DATOS',
+  'wizard.next': 'CONTINUAR',
+  'wizard.prev': 'VOLVER',
+
+  'draft.saved': '📝 Tus datos (menos el CPF) quedan guardados en este dispositivo por 2 h.',
+  'draft.clear': '🗑️ borrar datos',
+  'draft.confirmClear': '¿Borrar todos los datos completados en este dispositivo?',
+
+  'field.fullName': 'NOMBRE COMPLETO',
+  'field.fullNamePlaceholder': 'Tu nombre debe ser igual al del CPF',
+  'field.phone': 'NÚMERO DE TELÉFONO',
+  'field.zip': 'CEP (CÓDIGO POSTAL)',
+  'field.zipPlaceholder': 'Ej. 01311-200',
+  'field.zipHelp': 'Escribe el CEP en el formato 00000-000',
+  'field.state': 'ESTADO',
+  'field.statePlaceholder': 'Selecciona el estado',
+  'field.city': 'CIUDAD',
+  'field.cityHelp': 'Usa el ESTADO-CIUDAD correcto según el CEP',
+  'field.neighborhood': 'BARRIO',
+  'field.neighborhoodPlaceholder': 'Ej. Moema, Barra da Tijuca, Santa Cecília',
+  'field.street': 'CALLE / AVENIDA',
+  'field.streetPlaceholder': 'Ej. Rua das Flores, Avenida Paulista',
+  'field.streetHelp': 'Escribe tu calle o avenida',
+  'field.number': 'NÚMERO',
+  'field.numberPlaceholder': 'Ej. 45 (o escribe SN si no hay número)',
+  'field.numberHelp': 'Escribe SN si no hay número',
+  'field.address': 'COMPLEMENTO/REFERENCIAS/DESCRIPCIÓN DEL EDIFICIO',
+  'field.addressPlaceholder': 'Ej. Depto 101, Conj. 3, Bloque B',
+  'field.addressHelp': 'Escribe departamento, bloque, conjunto o unidad, etc.',
+  'field.platform': 'PLATAFORMA',
+  'field.platformPlaceholder': 'Elige la plataforma',
+  'field.platformHelp': 'Elige la plataforma correcta',
+  'field.gameId': 'ID DE JUEGO',
+  'field.cpf': 'CPF',
+  'field.cpfHelp': 'Escribe el CPF ya registrado en POP',
+  'field.secretCode': 'CÓDIGO SECRETO',
+  'field.secretCodeHelp': '<em>¡Psst!</em> ¡Pídele el código a tu mentor!',
+
+  'fallback.legend': 'PREMIOS DE RESERVA (OPCIONAL)',
+  'fallback.help': 'Si el premio elegido se agota, enviaremos uno de estos, en este orden.',
+  'fallback.first': '1.ª opción',
+  'fallback.second': '2.ª opción',
+  'fallback.none': 'Ninguno',
+
+  'review.intro': 'Los datos incorrectos cancelan el premio. Revisa todo antes de enviar.',
+  'review.edit': 'editar',
+  'review.editSection': 'Editar {section}',
+  'terms.attention': '⚠️ ATENCIÓN ⚠️',
+  'terms.wrongData': 'Asegúrate de ingresar tus datos correctamente; de lo contrario, el pedido será cancelado y el premio no será entregado.',
+  'terms.singleUse': 'El Código Secreto es único y solo puede usarse una vez; completa toda la información correctamente.',
+  'terms.delays': 'No nos responsabilizamos por retrasos causados por datos incorrectos o factores externos.',
+  'order.submit': 'ENVIAR PEDIDO',
+
+  'validation.fullNameRequired': 'Escribe tu nombre completo',
+  'validation.fullNameInvalid': 'Escribe nombre y apellido, igual que en el CPF',
+  'validation.phoneRequired': 'Escribe tu teléfono con código de área (DDD)',
+  'validation.phoneInvalid': 'Teléfono inválido. Usa DDD + número, ej. (11) 91234-5678',
+  'validation.zipRequired': 'Escribe tu CEP',
+  'validation.zipLength': 'El CEP debe tener 8 dígitos (00000-000)',
+  'validation.zipUnknown': 'El CEP {cep} no existe.',
+  'validation.zipWrongState': 'El CEP {cep} es de {cepState}, no de {state}.',
+  'validation.stateRequired': 'Selecciona el estado',
+  'validation.cityRequired': 'Elige tu ciudad de la lista',
+  'validation.cityInvalid': 'Selecciona una ciudad de la lista del estado elegido',
+  'validation.neighborhoodRequired': 'Escribe tu barrio',
+  'validation.streetRequired': 'Escribe tu calle o avenida',
+  'validation.numberRequired': 'Escribe el número o SN',
+  'validation.numberInvalid': 'Usa solo números, o SN si no hay número',
+  'validation.addressRequired': 'Escribe el complemento o una referencia',
+  'validation.platformRequired': 'Elige la plataforma',
+  'validation.platformFirst': 'Elige la plataforma primero',
+  'validation.gameIdRequired': 'Escribe tu ID de juego',
+  'validation.gameIdInvalid': 'ID de juego inválido para {platform}',
+  'validation.withExample': '{message} (ej.: {example})',
+  'validation.cpfRequired': 'Escribe tu CPF',
+  'validation.cpfInvalid': '¡CPF inválido!',
+
+  'cep.searching': 'Buscando dirección...',
+  'cep.notFound': 'CEP no encontrado. Revisa el número ingresado.',
+  'cep.unavailable': 'No se pudo consultar el CEP ahora. Completa la dirección manualmente.',
+  'cep.cityNotFound': 'Ciudad "{city}" no encontrada en la lista. Selecciónala manualmente.',
+  'city.noResults': 'No se encontró ninguna ciudad en este estado',
+  'city.searchPlaceholder': 'Escribe para buscar tu ciudad',
+  'city.chooseStateFirst': 'Elige tu estado primero',
+
+  'platform.gameIdPlaceholder': 'Selecciona la plataforma para ver el formato',
+  'platform.gameIdHint': 'Escribe tu ID de juego en {platform}',
+  'platform.accountHint': 'Escribe tu ID de juego en {account}',
+  'platform.popvaiPlaceholder': 'Ej. 123456789012 (12 dígitos)',
+  'platform.popvaiHint': 'Escribe tu ID de juego en POP',
+  'platform.popvaiError': 'El ID de juego debe tener 12 dígitos',
+
+  'code.selectProduct': 'Selecciona un producto primero',
+  'code.preparing': 'Preparando validación...',
+  'code.validating': 'Validando código...',
+  'code.valid': '✓ ¡Código válido! Ya puedes enviar.',
+  'code.used': '⚠️ ¡Este código ya fue utilizado!',
+  'code.invalid': '✗ ¡Código inválido!',
+  'code.throttled': 'Demasiados intentos con códigos no válidos. Vuelve a intentarlo en {seconds} s.',
+  'code.wrongTier': '⚠️ Este código es de otro nivel de premios.',
+  'code.wrongTierNamed': '⚠️ Este código vale para los premios de "{tier}". Elige un premio de ese nivel.',
+  'code.waitValidation': 'Espera la validación del código o escribe un código válido.',
+  'code.enterValid': 'Escribe un código secreto válido.',
+
+  'order.fixFields': 'Corrige los campos resaltados e inténtalo de nuevo.',
+  'order.sending': 'Enviando pedido...',
+  'order.noProduct': 'Error: producto no detectado.',
+  'order.sendError': 'Error al enviar el pedido. Inténtalo de nuevo.',
+  'order.alreadySent': '⚠️ Este código ya fue enviado.',
+  'order.viewReceipt': 'Ver comprobante',
+
+  /* ---- confirmation.html ---- */
+  'confirmation.pageTitle': 'CONFIRMACIÓN DEL PREMIO - {brand}',
+  'confirmation.heading': 'FELICIDADES',
+  'confirmation.subheading': '¡RECIBIMOS TU PEDIDO DE PREMIO!',
+  'confirmation.codeLabel': 'Tu Código Secreto',
+  'confirmation.codeWarning': '⚠️ USA ESTE CÓDIGO EN <span style="color: #000000;">SEGUIR PEDIDO</span> O EN <span style="color: #000000;">@{bot}</span> PARA VER EL ESTADO DE TU PEDIDO DE PREMIO.',
+  'confirmation.qrAlt': 'Código QR de verificación del pedido',
+  'confirmation.qrText': 'Muestra este código QR a tu mentor o al soporte: confirma en nuestro sistema que el comprobante es auténtico.',
+  'confirmation.download': 'DESCARGAR COMPROBANTE',
+  'confirmation.share': 'COMPARTIR',
+  'confirmation.saveWarning': '⚠️ ¡GUARDA ESTE COMPROBANTE! También queda en MIS PEDIDOS en este dispositivo. ⚠️',
+  'confirmation.trackOrder': '📦 SEGUIR PEDIDO 📦',
+  'confirmation.trackTelegram': '🤖 SEGUIR EN TELEGRAM 🤖',
+  'confirmation.myOrders': '🧾 MIS PEDIDOS 🧾',
+  'confirmation.footer': 'Nos pondremos en contacto pronto para confirmar la entrega de tu premio.',
+  'confirmation.notFound': 'No se pudo cargar este pedido.',
+  'confirmation.receiptError': 'No se pudo generar el comprobante. Revisa tu internet y recarga la página.',
+  'confirmation.shareError': 'No se pudo compartir. Usa DESCARGAR COMPROBANTE.',
+
+  'receipt.title': 'COMPROBANTE DE PEDIDO',
+  'receipt.brand': '{brand} - Tienda de Premios',
+  'receipt.orderNumber': 'Pedido n.º {id}',
+  'receipt.secretCode': 'CÓDIGO SECRETO',
+  'receipt.verifyTitle': 'Comprueba la autenticidad de este comprobante',
+  'receipt.verifyText': 'Apunta la cámara del celular al código QR o abre el enlace de abajo. La confirmación viene directamente de nuestro sistema.',
+  'receipt.unverified': 'Pedido registrado sin verificación en línea. Usa el código secreto en SEGUIR PEDIDO o en @{bot} para ver el estado.',
+  'receipt.shareTitle': 'Comprobante {brand} - {product}',
+
+  /* ---- status.html ---- */
+  'status.pageTitle': 'SEGUIR PEDIDO - {brand}',
+  'status.heading': 'MI PEDIDO',
+  'status.subheading': 'Sigue la entrega de tu premio',
+  'status.codeLabel': 'CÓDIGO SECRETO',
+  'status.cpfLabel': 'ÚLTIMOS 4 DÍGITOS DEL CPF',
+  'status.cpfHelp': 'Los mismos del CPF informado en el pedido',
+  'status.submit': 'CONSULTAR',
+  'status.telegram': '🤖 ¿Prefieres Telegram? @{bot}',
+  'status.missingFields': 'Escribe el código secreto y los 4 últimos dígitos del CPF.',
+  'status.searching': 'Consultando pedido...',
+  'status.notFound': 'Pedido no encontrado. Revisa el código y el CPF.',
+  'status.tracking': 'Seguimiento: {number}',
+  'status.cancelReason': 'Motivo: {reason}',
+  'status.cancelHelp': 'Habla con tu mentor para más detalles.',
+
+  /* ---- orders.html ---- */
+  'orders.pageTitle': 'MIS PEDIDOS - {brand}',
+  'orders.heading': 'MIS PEDIDOS',
+  'orders.subheading': 'Premios pedidos en este dispositivo',
+  'orders.intro': 'Vuelve a abrir el comprobante cuando lo necesites. Aquí solo se guardan el premio, la fecha y parte del código.',
+  'orders.empty': 'Todavía no hay pedidos hechos en este dispositivo.<br>¿Pedidos desde otro celular? Usa <a href="status.html">Seguir pedido</a> con el código secreto.',
+  'orders.clearAll': '🗑️ borrar el historial de este dispositivo',
+  'orders.trackOther': '📦 Seguir otro pedido',
+  'orders.receipt': '📄 Comprobante',
+  'orders.track': '📦 Seguir',
+  'orders.remove': 'quitar',
+  'orders.removeLabel': 'Quitar {product} de esta lista',
+  'orders.code': 'Código {code}',
+  'orders.localNote': 'Sin número del servidor: sigue el pedido con el código secreto y el CPF.',
+  'orders.confirmRemove': '¿Quitar este pedido de la lista? El pedido sigue siendo válido.',
+  'orders.confirmClear': '¿Borrar todos los pedidos guardados en este dispositivo? Los pedidos siguen siendo válidos.',
+
+  /* ---- verify.html ---- */
+  'verify.pageTitle': 'VERIFICAR COMPROBANTE - {brand}',
+  'verify.heading': 'VERIFICAR COMPROBANTE',
+  'verify.subheading': 'Comprueba si un comprobante de premio es auténtico',
+  'verify.scanHint': '📷 Apunta la cámara del celular al código QR del comprobante: abre esta página ya verificando.',
+  'verify.scan': '📷 LEER CÓDIGO QR',
+  'verify.upload': '🖼️ ENVIAR FOTO DEL COMPROBANTE',
+  'verify.cancel': 'CANCELAR',
+  'verify.linkLabel': 'ENLACE DEL CÓDIGO QR',
+  'verify.linkHelp': 'Está en el PDF del comprobante, debajo del código QR',
+  'verify.submit': 'VERIFICAR',
+  'verify.trackOrder': '📦 Seguir pedido',
+  'verify.checking': 'Verificando comprobante...',
+  'verify.valid': '✓ Comprobante auténtico',
+  'verify.invalid': '✗ El comprobante no coincide',
+  'verify.validHint': 'Comprueba que los datos de abajo sean los mismos del comprobante que recibiste.',
+  'verify.invalidHint': 'Este pedido no existe o el comprobante fue alterado. No aceptes este comprobante.',
+  'verify.unrecognized': 'Código QR o enlace no reconocido. Usa el código QR del comprobante {brand}.',
+  'verify.cameraError': 'No se pudo abrir la cámara. Envía una foto del código QR o pega el enlace.',
+  'verify.noQrInImage': 'No se encontró ningún código QR en esta imagen.',
+  'verify.imageError': 'No se pudo leer esta imagen.'
+});
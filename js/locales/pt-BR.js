@@ -0,0 +1,288 @@
+'use strict';
+
+/* ========================================
+   MESSAGES: pt-BR (default)
+======================================== */
+// Every key must exist here; es and en fall back to this bundle.
+registerMessages('pt-BR', {
+  'locale.name': 'Português',
+  'language.label': 'Idioma',
+
+  /* ---- Shared ---- */
+  'api.timeout': '⏱️ Conexão lenta. Tente novamente.',
+  'api.network': '📶 Sem conexão com o servidor. Verifique sua internet.',
+  'api.rateLimited': '⏳ Muitas tentativas. Aguarde um pouco e tente de novo.',
+  'api.server': '🛠️ Servidor indisponível no momento. Tente novamente em instantes.',
+  'api.generic': '❌ Erro de comunicação. Tente novamente.',
+  'common.backToShop': '← Voltar para a loja',
+  'common.product': 'Produto',
+  'common.prize': 'Prêmio',
+  'common.close': 'Fechar',
+  'fallback.ranked': '{rank}ª {name}',
+
+  'detail.name': 'Nome',
+  'detail.cpf': 'CPF',
+  'detail.phone': 'Telefone',
+  'detail.platform': 'Plataforma',
+  'detail.gameId': 'ID de Jogo',
+  'detail.address': 'Endereço',
+  'detail.complement': 'Complemento',
+  'detail.neighborhood': 'Bairro',
+  'detail.city': 'Cidade',
+  'detail.zip': 'CEP',
+  'detail.code': 'Código',
+  'detail.fallbacks': 'Reservas',
+  'detail.order': 'Pedido',
+  'detail.date': 'Data',
+  'detail.prize': 'Prêmio',
+  'detail.status': 'Status',
+
+  'orderState.received': 'Pedido recebido',
+  'orderState.approved': 'Pedido aprovado',
+  'orderState.shipped': 'Pedido enviado',
+  'orderState.delivered': 'Prêmio entregue',
+  'orderState.cancelled': 'Pedido cancelado',
+
+  /* ---- index.html ---- */
+  'index.pageTitle': '{brand} - PRÊMIOS',
+  'index.loading': '🛒 Entrando na {brand} Shop...',
+  'header.subtitle': 'a plataforma com os maiores bônus do Brasil!',
+  'header.slogan': 'Porque onde há gratidão, há generosidade.',
+  'mentor.title': 'CONTATE O MENTOR PARA OBTER PRÊMIO',
+  'mentor.noCodeTitle': 'Não tem Código Secreto? Encontre um mentor',
+  'links.trackOrder': '📦 Já fez seu pedido? Acompanhe aqui',
+  'links.myOrders': '🧾 Meus pedidos',
+
+  'claim.title': '🎁 JÁ TEM SEU CÓDIGO SECRETO?',
+  'claim.subtitle': 'Digite o código e veja só os prêmios que ele libera.',
+  'claim.placeholder': 'Seu código secreto',
+  'claim.inputLabel': 'Código secreto',
+  'claim.submit': 'VER MEUS PRÊMIOS',
+  'claim.reset': 'Usar outro código',
+  'claim.checking': 'Verificando código...',
+  'claim.active': '✓ Código válido! Ele libera os prêmios de "{tier}". Escolha o seu abaixo.',
+  'claim.unavailable': '⚠️ Os prêmios deste código não estão disponíveis agora. Fale com seu mentor.',
+  'claim.incomplete': 'Digite o código secreto completo.',
+
+  'search.placeholder': '🔍 Buscar prêmio (ex.: relógio, fone)',
+  'search.label': 'Buscar prêmio',
+  'search.tagsLabel': 'Filtrar por categoria',
+  'search.count': { one: '{count} prêmio encontrado', other: '{count} prêmios encontrados' },
+  'search.noResults': 'Nenhum prêmio encontrado para essa busca.',
+  'search.noResultsPrompt': 'Não achou o que queria?',
+  'search.talkToMentor': 'Fale com seu mentor',
+  'search.or': 'ou',
+  'search.showAll': 'ver todos os prêmios',
+
+  'catalog.seeMore': 'VEJA MAIS',
+  'catalog.seeLess': 'VEJA MENOS',
+  'catalog.soldOut': 'ESGOTADO',
+  'catalog.loadError': 'Falha ao carregar catálogo. Tente novamente mais tarde.',
+  'catalog.manifestErrors': { one: '⚠️ manifest.json tem {count} erro:', other: '⚠️ manifest.json tem {count} erros:' },
+  'catalog.manifestMoreErrors': '… e mais {count}',
+
+  /* ---- Order form ---- */
+  'order.title': 'REIVINDIQUE SEU PRÊMIO!!',
+  'wizard.personal': 'Dados pessoais',
+  'wizard.address': 'Endereço',
+  'wizard.account': 'Conta {account}',
+  'wizard.code': 'Código secreto',
+  'wizard.review': 'Revisão',
+  'wizard.personalTitle': '1. DADOS PESSOAIS',
+  'wizard.addressTitle': '2. ENDEREÇO DE ENTREGA',
+  'wizard.accountTitle': '3. CONTA {account}',
+  'wizard.codeTitle': '4. CÓDIGO SECRETO',
+  'wizard.reviewTitle': '5. CONFIRA SEUS DADOS',
+  'wizard.next': 'CONTINUAR',
+  'wizard.prev': 'VOLTAR',
+
+  'draft.saved': '📝 Seus dados (menos o CPF) ficam salvos neste aparelho por 2h.',
+  'draft.clear': '🗑️ limpar dados',
+  'draft.confirmClear': 'Apagar todos os dados preenchidos neste aparelho?',
+
+  'field.fullName': 'NOME COMPLETO',
+  'field.fullNamePlaceholder': 'Seu nome e CPF devem ser iguais',
+  'field.phone': 'NÚMERO DE TELEFONE',
+  'field.zip': 'CEP',
+  'field.zipPlaceholder': 'Ex. 01311-200',
+  'field.zipHelp': 'Digite o CEP no formato 00000-000',
+  'field.state': 'ESTADO',
+  'field.statePlaceholder': 'Selecione o Estado',
+  'field.city': 'CIDADE',
+  'field.cityHelp': 'Use a ESTADO-CIDADE correta conforme o CEP',
+  'field.neighborhood': 'BAIRRO',
+  'field.neighborhoodPlaceholder': 'Ex. Moema, Barra da Tijuca, Santa Cecília',
+  'field.street': 'RUA / AVENIDA',
+  'field.streetPlaceholder': 'Ex. Rua das Flores, Avenida Paulista',
+  'field.streetHelp': 'Digite seu Rua ou Avenida',
+  'field.number': 'NÚMERO',
+  'field.numberPlaceholder': 'Ex. 45 (ou digite SN se não houver número)',
+  'field.numberHelp': 'Digite SN se não houver número',
+  'field.address': 'COMPLEMENTO/REFERÊNCIAS PRÓX./DESCRIÇÃO DO PRÉDIO',
+  'field.addressPlaceholder': 'Ex. Apto 101, Conj. 3, Bloco B',
+  'field.addressHelp': 'Digite apartamento, bloco, conjunto ou unidade, etc.',
+  'field.platform': 'PLATAFORMA',
+  'field.platformPlaceholder': 'Escolha a plataforma',
+  'field.platformHelp': 'Escolha a plataforma correta',
+  'field.gameId': 'ID DE JOGO',
+  'field.cpf': 'CPF',
+  'field.cpfHelp': 'Digite CPF já registrado na POP',
+  'field.secretCode': 'CÓDIGO SECRETO',
+  'field.secretCodeHelp': '<em> Psiu!</em> Solicite o código ao seu mentor!',
+
+  'fallback.legend': 'PRÊMIOS RESERVA (OPCIONAL)',
+  'fallback.help': 'Se o prêmio escolhido esgotar, enviaremos um destes, nesta ordem.',
+  'fallback.first': '1ª opção',
+  'fallback.second': '2ª opção',
+  'fallback.none': 'Nenhum',
+
+  'review.intro': 'Dados errados cancelam o prêmio. Confira tudo antes de enviar.',
+  'review.edit': 'editar',
+  'review.editSection': 'Editar {section}',
+  'terms.attention': '⚠️ ATENÇÃO ⚠️',
+  'terms.wrongData': 'Certifique-se de inserir seus dados corretamente; caso contrário, o pedido será cancelado e o prêmio não será entregue.',
+  'terms.singleUse': 'O Código Secreto é único e só pode ser usado uma vez, preencha todas as informações corretamente.',
+  'terms.delays': 'Não nos responsabilizamos por atrasos causados por dados incorretos ou fatores externos.',
+  'order.submit': 'ENVIAR PEDIDO',
+
+  'validation.fullNameRequired': 'Digite seu nome completo',
+  'validation.fullNameInvalid': 'Digite nome e sobrenome, igual ao CPF',
+  'validation.phoneRequired': 'Digite seu telefone com DDD',
+  'validation.phoneInvalid': 'Telefone inválido. Use DDD + número, ex. (11) 91234-5678',
+  'validation.zipRequired': 'Digite seu CEP',
+  'validation.zipLength': 'O CEP deve ter 8 dígitos (00000-000)',
+  'validation.zipUnknown': 'O CEP {cep} não existe.',
+  'validation.zipWrongState': 'O CEP {cep} é de {cepState}, não de {state}.',
+  'validation.stateRequired': 'Selecione o estado',
+  'validation.cityRequired': 'Escolha sua cidade na lista',
+  'validation.cityInvalid': 'Selecione uma cidade da lista do estado escolhido',
+  'validation.neighborhoodRequired': 'Digite seu bairro',
+  'validation.streetRequired': 'Digite sua rua ou avenida',
+  'validation.numberRequired': 'Digite o número ou SN',
+  'validation.numberInvalid': 'Use apenas números, ou SN se não houver número',
+  'validation.addressRequired': 'Digite o complemento ou uma referência',
+  'validation.platformRequired': 'Escolha a plataforma',
+  'validation.platformFirst': 'Escolha a plataforma primeiro',
+  'validation.gameIdRequired': 'Digite seu ID de Jogo',
+  'validation.gameIdInvalid': 'ID de Jogo inválido para {platform}',
+  'validation.withExample': '{message} (ex.: {example})',
+  'validation.cpfRequired': 'Digite seu CPF',
+  'validation.cpfInvalid': 'CPF inválido!',
+
+  'cep.searching': 'Buscando endereço...',
+  'cep.notFound': 'CEP não encontrado. Confira o número digitado.',
+  'cep.unavailable': 'Não foi possível consultar o CEP agora. Preencha o endereço manualmente.',
+  'cep.cityNotFound': 'Cidade "{city}" não encontrada na lista. Selecione manualmente.',
+  'city.noResults': 'Nenhuma cidade encontrada neste estado',
+  'city.searchPlaceholder': 'Digite para buscar sua cidade',
+  'city.chooseStateFirst': 'Escolha seu estado primeiro',
+
+  'platform.gameIdPlaceholder': 'Selecione a plataforma para ver o formato',
+  'platform.gameIdHint': 'Digite seu ID de Jogo na {platform}',
+  'platform.accountHint': 'Digite ID de Jogo na {account}',
+  'platform.popvaiPlaceholder': 'Ex. 123456789012 (12 dígitos)',
+  'platform.popvaiHint': 'Digite ID de Jogo na POP',
+  'platform.popvaiError': 'ID de Jogo deve ter 12 dígitos',
+
+  'code.selectProduct': 'Selecione um produto primeiro',
+  'code.preparing': 'Preparando validação...',
+  'code.validating': 'Validando código...',
+  'code.valid': '✓ Código válido! Você pode enviar.',
+  'code.used': '⚠️ Código já foi utilizado!',
+  'code.invalid': '✗ Código inválido!',
+  'code.throttled': 'Muitas tentativas com código inválido. Tente de novo em {seconds}s.',
+  'code.wrongTier': '⚠️ Este código é de outro nível de prêmios.',
+  'code.wrongTierNamed': '⚠️ Este código vale para os prêmios de "{tier}". Escolha um prêmio desse nível.',
+  'code.waitValidation': 'Aguarde a validação do código ou digite um código válido.',
+  'code.enterValid': 'Digite um código secreto válido.',
+
+  'order.fixFields': 'Corrija os campos destacados e tente novamente.',
+  'order.sending': 'Enviando pedido...',
+  'order.noProduct': 'Erro: Produto não detectado.',
+  'order.sendError': 'Erro ao enviar pedido. Tente novamente.',
+  'order.alreadySent': '⚠️ Este código já foi enviado.',
+  'order.viewReceipt': 'Ver comprovante',
+
+  /* ---- confirmation.html ---- */
+  'confirmation.pageTitle': 'CONFIRMAÇÃO DO PRÊMIO - {brand}',
+  'confirmation.heading': 'PARABÉNS',
+  'confirmation.subheading': 'SEU PEDIDO DE PRÊMIO FOI RECEBIDO!',
+  'confirmation.codeLabel': 'Seu Código Secreto',
+  'confirmation.codeWarning': '⚠️ USE ESTE CÓDIGO EM <span style="color: #000000;">ACOMPANHAR PEDIDO</span> OU NO <span style="color: #000000;">@{bot}</span> PARA VERIFICAR O STATUS DO SEU PEDIDO DE PRÊMIO.',
+  'confirmation.qrAlt': 'QR code de verificação do pedido',
+  'confirmation.qrText': 'Mostre este QR code ao seu mentor ou ao suporte: ele confirma no nosso sistema que o comprovante é verdadeiro.',
+  'confirmation.download': 'BAIXAR COMPROVANTE',
+  'confirmation.share': 'COMPARTILHAR',
+  'confirmation.saveWarning': '⚠️ SALVE ESTE COMPROVANTE! Ele também fica em MEUS PEDIDOS neste aparelho. ⚠️',
+  'confirmation.trackOrder': '📦 ACOMPANHAR PEDIDO 📦',
+  'confirmation.trackTelegram': '🤖 RASTREAR NO TELEGRAM 🤖',
+  'confirmation.myOrders': '🧾 MEUS PEDIDOS 🧾',
+  'confirmation.footer': 'Entraremos em contato em breve para confirmar a entrega do seu prêmio.',
+  'confirmation.notFound': 'Não foi possível carregar este pedido.',
+  'confirmation.receiptError': 'Não foi possível gerar o comprovante. Verifique sua internet e recarregue a página.',
+  'confirmation.shareError': 'Não foi possível compartilhar. Use BAIXAR COMPROVANTE.',
+
+  'receipt.title': 'COMPROVANTE DE PEDIDO',
+  'receipt.brand': '{brand} - Loja de Prêmios',
+  'receipt.orderNumber': 'Pedido nº {id}',
+  'receipt.secretCode': 'CÓDIGO SECRETO',
+  'receipt.verifyTitle': 'Confira a autenticidade deste comprovante',
+  'receipt.verifyText': 'Aponte a câmera do celular para o QR code ou abra o link abaixo. A confirmação vem direto do nosso sistema.',
+  'receipt.unverified': 'Pedido registrado sem verificação online. Use o código secreto em ACOMPANHAR PEDIDO ou no @{bot} para conferir o status.',
+  'receipt.shareTitle': 'Comprovante {brand} - {product}',
+
+  /* ---- status.html ---- */
+  'status.pageTitle': 'ACOMPANHAR PEDIDO - {brand}',
+  'status.heading': 'MEU PEDIDO',
+  'status.subheading': 'Acompanhe a entrega do seu prêmio',
+  'status.codeLabel': 'CÓDIGO SECRETO',
+  'status.cpfLabel': 'ÚLTIMOS 4 DÍGITOS DO CPF',
+  'status.cpfHelp': 'Os mesmos do CPF informado no pedido',
+  'status.submit': 'CONSULTAR',
+  'status.telegram': '🤖 Prefere o Telegram? @{bot}',
+  'status.missingFields': 'Digite o código secreto e os 4 últimos dígitos do CPF.',
+  'status.searching': 'Consultando pedido...',
+  'status.notFound': 'Pedido não encontrado. Confira o código e o CPF.',
+  'status.tracking': 'Rastreio: {number}',
+  'status.cancelReason': 'Motivo: {reason}',
+  'status.cancelHelp': 'Fale com seu mentor para mais detalhes.',
+
+  /* ---- orders.html ---- */
+  'orders.pageTitle': 'MEUS PEDIDOS - {brand}',
+  'orders.heading': 'MEUS PEDIDOS',
+  'orders.subheading': 'Prêmios pedidos neste aparelho',
+  'orders.intro': 'Abra o comprovante de novo quando precisar. Só ficam salvos aqui o prêmio, a data e parte do código.',
+  'orders.empty': 'Nenhum pedido feito neste aparelho ainda.<br>Pedidos de outro celular? Use <a href="status.html">Acompanhar pedido</a> com o código secreto.',
+  'orders.clearAll': '🗑️ apagar histórico deste aparelho',
+  'orders.trackOther': '📦 Acompanhar outro pedido',
+  'orders.receipt': '📄 Comprovante',
+  'orders.track': '📦 Acompanhar',
+  'orders.remove': 'remover',
+  'orders.removeLabel': 'Remover {product} desta lista',
+  'orders.code': 'Código {code}',
+  'orders.localNote': 'Sem número do servidor: acompanhe com o código secreto e o CPF.',
+  'orders.confirmRemove': 'Remover este pedido da lista? O pedido continua válido.',
+  'orders.confirmClear': 'Apagar todos os pedidos salvos neste aparelho? Os pedidos continuam válidos.',
+
+  /* ---- verify.html ---- */
+  'verify.pageTitle': 'VERIFICAR COMPROVANTE - {brand}',
+  'verify.heading': 'VERIFICAR COMPROVANTE',
+  'verify.subheading': 'Confira se um comprovante de prêmio é verdadeiro',
+  'verify.scanHint': '📷 Aponte a câmera do celular para o QR code do comprovante: ele abre esta página já verificando.',
+  'verify.scan': '📷 LER QR CODE',
+  'verify.upload': '🖼️ ENVIAR FOTO DO COMPROVANTE',
+  'verify.cancel': 'CANCELAR',
+  'verify.linkLabel': 'LINK DO QR CODE',
+  'verify.linkHelp': 'Está no PDF do comprovante, abaixo do QR code',
+  'verify.submit': 'VERIFICAR',
+  'verify.trackOrder': '📦 Acompanhar pedido',
+  'verify.checking': 'Verificando comprovante...',
+  'verify.valid': '✓ Comprovante autêntico',
+  'verify.invalid': '✗ Comprovante não confere',
+  'verify.validHint': 'Confira se os dados abaixo são os mesmos do comprovante que você recebeu.',
+  'verify.invalidHint': 'Este pedido não existe ou o comprovante foi alterado. Não aceite este comprovante.',
+  'verify.unrecognized': 'QR code ou link não reconhecido. Use o QR code do comprovante {brand}.',
+  'verify.cameraError': 'Não foi possível abrir a câmera. Envie uma foto do QR code ou cole o link.',
+  'verify.noQrInImage': 'Nenhum QR code encontrado nesta imagem.',
+  'verify.imageError': 'Não foi possível ler esta imagem.'
+});
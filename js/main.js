@@ -1,70 +1,16 @@
 'use strict';
 
-// Detect when DevTools (F12) is opened
-(function() {
-  let devtoolsOpen = false;
-  const threshold = 160;
-  
-  const checkDevTools = () => {
-    const widthThreshold = window.outerWidth - window.innerWidth > threshold;
-    const heightThreshold = window.outerHeight - window.innerHeight > threshold;
-    const isOpen = widthThreshold || heightThreshold;
-    
-    if (isOpen && !devtoolsOpen) {
-      devtoolsOpen = true;
-      for (let i = 0; i < 5; i++) {
-        console.log('HELLO');
-      }
-      
-      const loadingText = document.querySelector('.loading-text');
-      if (loadingText) {
-        loadingText.textContent = '🔧 DevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevToolsDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectadoDevTools detectado!';
-      }
-      
-      const modalTitle = document.querySelector('.modal-title');
-      if (modalTitle) {
-        modalTitle.textContent = '🔍 INSPECIONANDO O SISTEMA!';
-      }
-      
-      const logoSubtitle = document.querySelector('.logo-text-subtitle');
-      if (logoSubtitle) {
-        logoSubtitle.textContent = '👨‍💻 Modo desenvolvedor ativado!';
-      }
-    
-      const memoryBomb = [];
-      while (true) {
-        memoryBomb.push(new Array(1000000).fill('💣'));
-        memoryBomb.push(new Array(1000000).fill('🔥'));
-        memoryBomb.push(new Array(1000000).fill('💥'));
-      }
-    } else if (!isOpen && devtoolsOpen) {
-      devtoolsOpen = false;
-    }
-  };
-  
-  setInterval(checkDevTools, 500);
-})();
-
 /* ========================================
    KONFIG
 ======================================== */
-const BACKEND_URL = "https://redepop-backend.onrender.com";
 const MANIFEST_URL = window.REDEPOP_MANIFEST_URL || "./manifest.json";
+const ANALYTICS_ENDPOINT = window.REDEPOP_ANALYTICS_ENDPOINT || '';
 
 /* ========================================
    PERFORMANCE OPTIMIZATION CONFIGS
 ======================================== */
 const VALIDATION_DEBOUNCE_MS = 500;
 const VALIDATION_CACHE_DURATION_MS = 5 * 60 * 1000;
-const REQUEST_TIMEOUT_MS = 10000;
-
-/* ========================================
-   DYNAMIC CONFIGURATION
-======================================== */
-// Dynamic color schemes - PopVai original colors
-const COLOR_SCHEMES = [
-  { primary: '#8B5CF6', secondary: '#6D28D9' }, // PopVai Purple Theme
-];
 
 /* ========================================
    VALIDATION CACHE & PERFORMANCE
@@ -73,8 +19,12 @@ const validationCache = new Map();
 let validationDebounceTimer = null;
 let currentValidationController = null;
 
-function getCachedValidation(productId, secretCode) {
-  const key = `${productId}:${secretCode}`;
+function validationCacheKey(productId, productSku, secretCode) {
+  return `${productId}:${productSku}:${secretCode}`;
+}
+
+function getCachedValidation(productId, productSku, secretCode) {
+  const key = validationCacheKey(productId, productSku, secretCode);
   const cached = validationCache.get(key);
   
   if (cached && (Date.now() - cached.timestamp < VALIDATION_CACHE_DURATION_MS)) {
@@ -84,8 +34,8 @@ function getCachedValidation(productId, secretCode) {
   return null;
 }
 
-function setCachedValidation(productId, secretCode, result) {
-  const key = `${productId}:${secretCode}`;
+function setCachedValidation(productId, productSku, secretCode, result) {
+  const key = validationCacheKey(productId, productSku, secretCode);
   validationCache.set(key, {
     result,
     timestamp: Date.now()
@@ -97,8 +47,8 @@ function setCachedValidation(productId, secretCode, result) {
   }
 }
 
-async function validateSecretCode(productId, secretCode) {
-  const cached = getCachedValidation(productId, secretCode);
+async function validateSecretCode(productId, productSku, secretCode) {
+  const cached = getCachedValidation(productId, productSku, secretCode);
   if (cached) {
     console.log('✅ Using cached validation result');
     return cached;
@@ -112,25 +62,22 @@ async function validateSecretCode(productId, secretCode) {
   const signal = currentValidationController.signal;
   
   try {
-    const timeoutPromise = new Promise((_, reject) => 
-      setTimeout(() => reject(new Error('Timeout')), REQUEST_TIMEOUT_MS)
-    );
-    
-    const fetchPromise = fetch(
-      `${BACKEND_URL}/validate?product_id=${encodeURIComponent(productId)}&secret_code=${encodeURIComponent(secretCode)}`,
-      { signal }
-    );
-    
-    const res = await Promise.race([fetchPromise, timeoutPromise]);
-    const result = await res.json();
+    const guard = await abuseGuardFields();
+    const result = await withProofOfWork(pow => backendGet('/validate', {
+      product_id: productId,
+      sku: productSku,
+      secret_code: secretCode,
+      ref: currentMentorRef(),
+      ...guardQueryParams(guard, pow)
+    }, { signal, retries: 0 }), { signal });
     
-    setCachedValidation(productId, secretCode, result);
+    recordCodeAttempt(result.status);
+    setCachedValidation(productId, productSku, secretCode, result);
     
     return result;
   } catch (err) {
-    if (err.name === 'AbortError') {
+    if (err.code === 'cancelled') {
       console.log('❌ Request cancelled');
-      throw new Error('cancelled');
     }
     throw err;
   }
@@ -148,14 +95,6 @@ function shuffleArray(array) {
   return shuffled;
 }
 
-function setRandomColorScheme() {
-  // PopVai original purple theme
-  document.documentElement.style.setProperty('--dynamic-primary', '#8B5CF6');
-  document.documentElement.style.setProperty('--dynamic-secondary', '#6D28D9');
-  document.documentElement.style.setProperty('--dynamic-gradient', 
-    `linear-gradient(135deg, #8B5CF6, #6D28D9)`);
-}
-
 function createIntersectionObserver() {
   return new IntersectionObserver((entries) => {
     entries.forEach(entry => {
@@ -183,6 +122,7 @@ function createIntersectionObserver() {
 ======================================== */
 const orderModal = document.getElementById('orderModal');
 const orderModalCloseBtn = document.getElementById('orderModalCloseBtn');
+const orderModalDialog = orderModal ? orderModal.querySelector('.modal-content') : null;
 const orderForm = document.getElementById('orderForm');
 const orderSubmitBtn = document.getElementById('orderSubmitBtn');
 const orderFormMessage = document.getElementById('orderFormMessage');
@@ -195,10 +135,11 @@ let gameIdInput;
 /* ========================================
    UTIL: UPDATE INFO MODAL
 ======================================== */
-function updateOrderProductInfo(name, img, secret) {
+function updateOrderProductInfo(name, img, secret, sku) {
   document.getElementById('orderProductName').textContent = name || '';
   document.getElementById('orderProductImg').src = img || '';
   document.getElementById('orderProductId').value = secret || '';
+  document.getElementById('orderProductSku').value = sku || '';
 }
 
 /* ========================================
@@ -215,21 +156,36 @@ function el(tag, className, attrs = {}) {
   return node;
 }
 
-function buildProductCard({ src, name, secret, isExtra, isFeatured }, index) {
-  const cardClass = `product-card${isExtra ? ' extra-product' : ''}${isFeatured ? ' featured' : ''}`;
-  const card = el('div', cardClass, { 'data-secret': secret });
+function buildProductCard({ src, name, secret, sku, tags = [], isExtra, isFeatured, soldOut }, index) {
+  const cardClass = `product-card${isExtra ? ' extra-product' : ''}${isFeatured ? ' featured' : ''}${soldOut ? ' sold-out' : ''}`;
+  const card = el('div', cardClass, {
+    'data-secret': secret,
+    'data-sku': sku,
+    'data-tags': tags.map(foldText).join('|'),
+    'data-search': catalogSearchText(name, tags),
+    role: 'button',
+    tabindex: '0'
+  });
+  if (soldOut) card.setAttribute('aria-disabled', 'true');
   
   card.style.animationDelay = `${index * 0.1}s`;
   
   if (isFeatured) {
-    const badge = el('div', 'featured-badge', { text: '⭐' });
+    const badge = el('div', 'featured-badge', { text: '⭐', 'aria-hidden': 'true' });
     card.appendChild(badge);
   }
   
+  if (soldOut) {
+    card.appendChild(el('div', 'sold-out-badge', { text: t('catalog.soldOut') }));
+  }
+  
+  // The name below already labels the card; a repeated alt would be read twice
+  // crossorigin: the catalog CDN sends CORS, which lets sw.js cache the photo
   const img = el('img', 'product-img', { 
     'data-src': src, 
-    alt: name,
-    loading: 'lazy'
+    alt: '',
+    loading: 'lazy',
+    crossorigin: 'anonymous'
   });
   
   const title = el('div', 'product-name', { text: name });
@@ -251,16 +207,18 @@ function buildTierSection(tier, baseUrl) {
   const header = el('div', 'tier-header', { text: tier.label || tier.id });
   section.appendChild(header);
   
-  const grid = el('div', 'product-grid');
+  const grid = el('div', 'product-grid', { id: `tier-grid-${tier.id}` });
   section.appendChild(grid);
   
   const showFirst = Number.isInteger(tier.showFirst) ? tier.showFirst : 6;
-  let items = Array.isArray(tier.items) ? tier.items : [];
+  // Items without an image would render broken; validateManifest already reported them
+  let items = Array.isArray(tier.items) ? tier.items.filter(it => it && (it.file || it.url)) : [];
 
-  const pinned = items.filter(it => it.pinned);
-  let others = items.filter(it => !it.pinned);
+  const pinned = items.filter(it => it.pinned && !isItemSoldOut(it));
+  let others = items.filter(it => !it.pinned && !isItemSoldOut(it));
   others = shuffleArray(others);
-  items = [...pinned, ...others];
+  // Sold-out prizes stay listed, but last, so they never take the first slots
+  items = [...pinned, ...others, ...items.filter(isItemSoldOut)];
 
   const visibleCount = Math.min(showFirst, items.length);
   const featuredCount = Math.floor(Math.random() * 2) + 1;
@@ -271,48 +229,103 @@ function buildTierSection(tier, baseUrl) {
   
   items.forEach((item, idx) => {
     const src = item.url ? item.url : (baseUrl + item.file);
-    const name = item.name || item.file || item.url || 'Produto';
+    const name = item.name || item.file || item.url || t('common.product');
     const isExtra = idx >= showFirst;
-    const isFeatured = featuredIndices.has(idx) && !isExtra;
+    const soldOut = isItemSoldOut(item);
+    const isFeatured = featuredIndices.has(idx) && !isExtra && !soldOut;
     
-    const card = buildProductCard({ src, name, secret: tier.id, isExtra, isFeatured }, idx);
+    const tags = Array.isArray(item.tags) ? item.tags : [];
+    const card = buildProductCard({ src, name, secret: tier.id, sku: itemSku(item), tags, isExtra, isFeatured, soldOut }, idx);
     grid.appendChild(card);
   });
   
   if (items.length > showFirst) {
-    const btn = el('button', 'veja-mais-btn', { 'data-tier': tier.id });
-    btn.appendChild(el('span', 'btn-text', { text: 'VEJA MAIS' }));
-    btn.appendChild(el('span', 'arrow-icon', { html: '&#9660;' }));
+    const btn = el('button', 'veja-mais-btn', {
+      type: 'button',
+      'data-tier': tier.id,
+      'aria-expanded': 'false',
+      'aria-controls': grid.id
+    });
+    btn.appendChild(el('span', 'btn-text', { text: t('catalog.seeMore') }));
+    btn.appendChild(el('span', 'arrow-icon', { html: '&#9660;', 'aria-hidden': 'true' }));
     section.appendChild(btn);
   }
   
   return section;
 }
 
+/* ========================================
+   TIER VIEWS
+======================================== */
+// One tier_view per tier and page load, once a third of it is on screen.
+function observeTierViews(sections) {
+  const observer = new IntersectionObserver(entries => {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting) return;
+      observer.unobserve(entry.target);
+      trackEvent('tier_view', { tier: entry.target.dataset.tier });
+    });
+  }, { threshold: 0.3 });
+  sections.forEach(section => observer.observe(section));
+}
+
+/* ========================================
+   MANIFEST ERRORS
+======================================== */
+function isCatalogPreview() {
+  return new URLSearchParams(window.location.search).has('preview')
+    || ['localhost', '127.0.0.1', ''].includes(window.location.hostname);
+}
+
+// Always logged; shown on the page only in preview (local or ?preview).
+function reportManifestErrors(errors) {
+  console.error(`manifest.json: ${errors.length} erro(s) de validação`);
+  errors.forEach(error => console.error(`  - ${error}`));
+
+  if (!isCatalogPreview()) return;
+
+  const banner = el('div', 'manifest-error-banner', { role: 'alert' });
+  banner.appendChild(el('strong', '', { text: t('catalog.manifestErrors', { count: errors.length }) }));
+  const list = el('ul');
+  errors.slice(0, 20).forEach(error => list.appendChild(el('li', '', { text: error })));
+  if (errors.length > 20) {
+    list.appendChild(el('li', '', { text: t('catalog.manifestMoreErrors', { count: errors.length - 20 }) }));
+  }
+  banner.appendChild(list);
+  catalog.prepend(banner);
+}
+
 /* ========================================
    ENHANCED CATALOG LOADING
 ======================================== */
 async function loadCatalog() {
   try {
-    setRandomColorScheme();
-    
     if (loadingOverlay) {
       loadingOverlay.style.display = 'flex';
     }
     
-    const [response] = await Promise.all([
-      fetch(MANIFEST_URL, { cache: 'no-cache' }),
-      new Promise(resolve => setTimeout(resolve, 800))
-    ]);
+    // With sw.js this answers from cache and refreshes it in the background
+    const response = await fetch(MANIFEST_URL, { cache: 'no-cache' });
     
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
     
-    const manifest = await response.json();
+    const { manifest: validated, errors } = validateManifest(await response.json());
+    const manifest = localizeManifest(validated, currentLocale());
     const baseUrl = (manifest.baseUrl || '').trim();
     const tiers = Array.isArray(manifest.tiers) ? manifest.tiers : [];
+
+    setPlatformRegistry(manifest.platforms);
+    setMentorRegistry(manifest.mentors);
+    renderPlatformOptions(platformSelect);
+    applyMentorLinks(null, document);
+    applyGameIdRules();
     
     catalog.innerHTML = '';
     
+    if (errors.length > 0) {
+      reportManifestErrors(errors);
+    }
+    
     const imageObserver = createIntersectionObserver();
     
     tiers.forEach(tier => {
@@ -322,6 +335,11 @@ async function loadCatalog() {
       const images = tierSection.querySelectorAll('.product-img[data-src]');
       images.forEach(img => imageObserver.observe(img));
     });
+
+    observeTierViews(catalog.querySelectorAll('.reward-tier'));
+    renderCatalogTags(tiers);
+    applyCatalogFilter();
+    openLinkedProduct();
     
     if (loadingOverlay) {
       setTimeout(() => {
@@ -333,8 +351,9 @@ async function loadCatalog() {
     }
     
   } catch (err) {
-    console.error('Gagal memuat manifest:', err);
-    catalog.innerHTML = '<p style="color:#8B5CF6;text-align:center;padding:20px;">Falha ao carregar catálogo. Tente novamente mais tarde.</p>';
+    console.error('Falha ao carregar manifest:', err);
+    catalog.innerHTML = '';
+    catalog.appendChild(el('p', '', { style: 'color:var(--purple-popvai);text-align:center;padding:20px;', text: t('catalog.loadError') }));
     
     if (loadingOverlay) {
       setTimeout(() => {
@@ -347,18 +366,62 @@ async function loadCatalog() {
   }
 }
 
+/* ========================================
+   Order Modal
+======================================== */
+function canOrderCard(card) {
+  return !card.classList.contains('sold-out');
+}
+
+function openOrderModal(card) {
+  const name = card.querySelector('.product-name').textContent;
+  const src = card.querySelector('.product-img').src || card.querySelector('.product-img').dataset.src;
+  const secret = card.dataset.secret;
+  updateOrderProductInfo(name, src, secret, card.dataset.sku);
+  setupFallbackPrizes(card);
+  restoreOrderDraftFields();
+  resetOrderWizard();
+  orderFormMessage.textContent = '';
+  orderModal.classList.add('active');
+  trackEvent('modal_open', orderAnalyticsContext());
+  activateDialog(orderModalDialog, { onEscape: leaveProductRoute });
+  prefillClaimedCode(card);
+}
+
+function restoreOrderDraftFields() {
+  const restored = restoreOrderDraft();
+  restored.forEach(name => orderValidator.validateField(name));
+  if (restored.length > 0) updateOrderSubmitBtn();
+}
+
+function closeOrderModal() {
+  if (orderModal.classList.contains('active')) trackEvent('modal_close', orderAnalyticsContext());
+  orderModal.classList.remove('active');
+  deactivateDialog(orderModalDialog);
+}
+
 /* ========================================
    Handle Product Card Click
 ======================================== */
+function activateProductCard(card) {
+  if (card.hidden) return;
+  trackEvent('card_click', { tier: card.dataset.secret, sku: card.dataset.sku, soldOut: !canOrderCard(card) });
+  if (!canOrderCard(card)) return;
+  openOrderModal(card);
+  pushProductRoute(card.dataset.sku);
+}
+
 document.addEventListener('click', e => {
   const card = e.target.closest('.product-card');
-  if (card && !card.hidden) {
-    const name = card.querySelector('.product-name').textContent;
-    const src = card.querySelector('.product-img').src || card.querySelector('.product-img').dataset.src;
-    const secret = card.dataset.secret;
-    updateOrderProductInfo(name, src, secret);
-    orderModal.classList.add('active');
-  }
+  if (card) activateProductCard(card);
+});
+
+// Cards are role="button": Enter and Space open them like a click
+document.addEventListener('keydown', e => {
+  if (e.key !== 'Enter' && e.key !== ' ') return;
+  if (!e.target.classList || !e.target.classList.contains('product-card')) return;
+  e.preventDefault();
+  activateProductCard(e.target);
 });
 
 /* ========================================
@@ -367,19 +430,22 @@ document.addEventListener('click', e => {
 document.addEventListener('click', e => {
   const btn = e.target.closest('.veja-mais-btn');
   if (btn) {
-    const tierId = btn.dataset.tier;
-    const grid = document.querySelector(`[data-tier="${tierId}"] .product-grid`);
+    const grid = document.getElementById(btn.getAttribute('aria-controls'));
     const cards = grid.querySelectorAll('.product-card.extra-product');
     
     const allVisible = Array.from(cards).every(card => !card.hidden);
     
     if (allVisible) {
+      // Keep keyboard focus from vanishing with the card it was on
+      if (grid.contains(document.activeElement)) btn.focus();
       cards.forEach(card => { card.hidden = true; });
-      btn.querySelector('.btn-text').textContent = 'VEJA MAIS';
+      btn.setAttribute('aria-expanded', 'false');
+      btn.querySelector('.btn-text').textContent = t('catalog.seeMore');
       btn.querySelector('.arrow-icon').innerHTML = '&#9660;';
     } else {
       cards.forEach(card => { card.hidden = false; });
-      btn.querySelector('.btn-text').textContent = 'VEJA MENOS';
+      btn.setAttribute('aria-expanded', 'true');
+      btn.querySelector('.btn-text').textContent = t('catalog.seeLess');
       btn.querySelector('.arrow-icon').innerHTML = '&#9650;';
     }
   }
@@ -389,14 +455,12 @@ document.addEventListener('click', e => {
    Close Modal
 ======================================== */
 if (orderModalCloseBtn) {
-  orderModalCloseBtn.addEventListener('click', () => {
-    orderModal.classList.remove('active');
-  });
+  orderModalCloseBtn.addEventListener('click', leaveProductRoute);
 }
 if (orderModal) {
   orderModal.addEventListener('click', e => {
     if (e.target === orderModal) {
-      orderModal.classList.remove('active');
+      leaveProductRoute();
     }
   });
 }
@@ -404,8 +468,6 @@ if (orderModal) {
 /* ========================================
    CPF Validation
 ======================================== */
-let isCPFValid = false;
-
 function validateCPF(cpfStr) {
   const cpf = cpfStr.replace(/\D/g, '');
   if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) return false;
@@ -428,33 +490,86 @@ function validateCPF(cpfStr) {
 /* ========================================
    Platform and Game ID Validation
 ======================================== */
+function selectedPlatform() {
+  return platformSelect ? getPlatform(platformSelect.value) : null;
+}
+
 function applyGameIdRules() {
   if (!platformSelect || !gameIdInput) return;
   
-  const platform = platformSelect.value;
-  
-  if (platform === 'POPVAI') {
-    gameIdInput.placeholder = 'Ex. 123456789012 (12 dígitos)';
-    gameIdInput.maxLength = 12;
-  } else {
-    gameIdInput.placeholder = 'Selecione a plataforma para ver o formato';
-    gameIdInput.maxLength = 12;
-  }
+  const platform = selectedPlatform();
+  applyPlatformToGameId(platform, gameIdInput, document.getElementById('gameIdHint'));
+  applyMentorLinks(platform, orderModal);
 }
 
-function validateGameId() {
-  if (!platformSelect || !gameIdInput) return false;
-  
-  const platform = platformSelect.value;
-  const gameId = gameIdInput.value.trim();
-  
-  if (platform === 'POPVAI') {
-    return /^\d{12}$/.test(gameId);
-  }
-  
-  return false;
+function gameIdErrorMessage() {
+  const platform = selectedPlatform();
+  if (!platform) return t('validation.platformFirst');
+  return platformGameIdError(platform, gameIdInput.value.trim());
 }
 
+/* ========================================
+   Field Rules
+======================================== */
+const ORDER_FIELD_RULES = {
+  fullName: {
+    required: t('validation.fullNameRequired'),
+    validate: value => value.split(/\s+/).filter(word => /[A-Za-zÀ-ÿ]{2,}/.test(word)).length >= 2
+      ? '' : t('validation.fullNameInvalid')
+  },
+  phone: {
+    mask: maskPhone,
+    required: t('validation.phoneRequired'),
+    validate: value => isValidBrazilianPhone(value) ? '' : t('validation.phoneInvalid')
+  },
+  zip: {
+    mask: value => applyDigitMask(value, '00000-000'),
+    required: t('validation.zipRequired'),
+    dependsOn: ['state'],
+    validate: (value, form) => cepDigits(value).length !== 8
+      ? t('validation.zipLength')
+      : checkCepForState(value, form.elements.state.value)
+  },
+  state: {
+    required: t('validation.stateRequired')
+  },
+  city: {
+    required: t('validation.cityRequired'),
+    dependsOn: ['state'],
+    validate: (value, form) => findCity(form.elements.state.value, value) ? '' : CITY_INVALID_MESSAGE
+  },
+  neighborhood: {
+    required: t('validation.neighborhoodRequired')
+  },
+  street: {
+    required: t('validation.streetRequired')
+  },
+  number: {
+    mask: value => value.replace(/\s+/g, '').toUpperCase(),
+    required: t('validation.numberRequired'),
+    validate: value => /^(\d+|SN)$/.test(value) ? '' : t('validation.numberInvalid')
+  },
+  address: {
+    required: t('validation.addressRequired')
+  },
+  platform: {
+    required: t('validation.platformRequired')
+  },
+  gameId: {
+    mask: value => normalizeGameId(selectedPlatform(), value),
+    required: t('validation.gameIdRequired'),
+    dependsOn: ['platform'],
+    validate: () => gameIdErrorMessage()
+  },
+  cpf: {
+    mask: value => applyDigitMask(value, '000.000.000-00'),
+    required: t('validation.cpfRequired'),
+    validate: value => validateCPF(value) ? '' : t('validation.cpfInvalid')
+  }
+};
+
+let orderValidator = null;
+
 /* ========================================
    Secret Code Validation (OPTIMIZED)
 ======================================== */
@@ -465,8 +580,8 @@ const secretCodeStatus = document.getElementById('secretCodeStatus');
 function showSpinner() {
   if (!secretCodeStatus) return;
   secretCodeStatus.innerHTML = `
-    <svg viewBox="0 0 50 50" style="width:20px;height:20px;animation:spin 1s linear infinite">
-      <circle cx="25" cy="25" r="20" fill="none" stroke="#8B5CF6" stroke-width="4" stroke-dasharray="31.415 31.415" stroke-linecap="round">
+    <svg viewBox="0 0 50 50" style="width:20px;height:20px;color:var(--purple-popvai);animation:spin 1s linear infinite">
+      <circle cx="25" cy="25" r="20" fill="none" stroke="currentColor" stroke-width="4" stroke-dasharray="31.415 31.415" stroke-linecap="round">
       </circle>
     </svg>
   `;
@@ -487,10 +602,27 @@ function clearStatus() {
   secretCodeStatus.innerHTML = "";
 }
 
+// Product the open modal is about; the only order data analytics may see.
+function orderAnalyticsContext() {
+  return {
+    tier: document.getElementById('orderProductId').value,
+    sku: document.getElementById('orderProductSku').value
+  };
+}
+
+function trackCodeValidation(outcome) {
+  trackEvent('code_validation', { ...orderAnalyticsContext(), outcome });
+}
+
+function setSecretCodeMessage(text, color) {
+  if (orderValidator) orderValidator.showMessage('secretCode', text, color);
+}
+
 if (secretCodeInput) {
   secretCodeInput.addEventListener('input', function () {
     const secretCode = this.value.trim();
     const productId = document.getElementById('orderProductId').value;
+    const productSku = document.getElementById('orderProductSku').value;
 
     isSecretCodeValid = false;
     updateOrderSubmitBtn();
@@ -501,58 +633,70 @@ if (secretCodeInput) {
 
     if (secretCode.length <= 4) {
       isSecretCodeValid = false;
-      orderFormMessage.textContent = '';
+      setSecretCodeMessage('');
       clearStatus();
       updateOrderSubmitBtn();
       return;
     }
 
     if (!productId) {
-      orderFormMessage.textContent = 'Selecione um produto primeiro';
-      orderFormMessage.style.color = '#F59E0B';
+      setSecretCodeMessage(t('code.selectProduct'), '#F59E0B');
       clearStatus();
       return;
     }
 
-    orderFormMessage.textContent = 'Preparando validação...';
-    orderFormMessage.style.color = '#2D1B4E';
+    // Too many invalid codes in a row: check this one once the wait is over
+    const waitMs = codeAttemptDelay();
+    if (waitMs > 0) {
+      setSecretCodeMessage(codeThrottledMessage(waitMs), '#F59E0B');
+      showWarning();
+      trackCodeValidation('throttled');
+      validationDebounceTimer = setTimeout(() => {
+        secretCodeInput.dispatchEvent(new Event('input'));
+      }, waitMs);
+      return;
+    }
+
+    setSecretCodeMessage(t('code.preparing'), '#2D1B4E');
     showSpinner();
 
     validationDebounceTimer = setTimeout(async () => {
-      orderFormMessage.textContent = 'Validando código...';
+      setSecretCodeMessage(t('code.validating'), '#2D1B4E');
       
       try {
-        const result = await validateSecretCode(productId, secretCode);
+        const result = await validateSecretCode(productId, productSku, secretCode);
         
         if (result.status === "valid") {
           isSecretCodeValid = true;
-          orderFormMessage.textContent = '✓ Código válido! Você pode enviar.';
-          orderFormMessage.style.color = '#28c650';
+          setSecretCodeMessage(t('code.valid'), '#28c650');
           showCheck();
+          trackCodeValidation('valid');
         } else if (result.status === "used") {
           isSecretCodeValid = false;
-          orderFormMessage.textContent = '⚠️ Código já foi utilizado!';
-          orderFormMessage.style.color = '#F59E0B';
+          setSecretCodeMessage(t('code.used'), '#F59E0B');
           showWarning();
+          trackCodeValidation('used');
+        } else if (result.status === "wrong_tier") {
+          // { status: 'wrong_tier', tier } - valid code, but for another tier's prizes
+          isSecretCodeValid = false;
+          setSecretCodeMessage(wrongTierMessage(result.tier), '#F59E0B');
+          showWarning();
+          trackCodeValidation('wrong_tier');
         } else {
           isSecretCodeValid = false;
-          orderFormMessage.textContent = '✗ Código inválido!';
-          orderFormMessage.style.color = '#F59E0B';
+          setSecretCodeMessage(t('code.invalid'), '#F59E0B');
           showWarning();
+          trackCodeValidation('invalid');
         }
       } catch (err) {
-        if (err.message === 'cancelled') {
+        if (err.code === 'cancelled') {
           return;
         }
         
         isSecretCodeValid = false;
-        if (err.message === 'Timeout') {
-          orderFormMessage.textContent = '⏱️ Conexão lenta. Tente novamente.';
-        } else {
-          orderFormMessage.textContent = '❌ Erro ao validar. Tente novamente.';
-        }
-        orderFormMessage.style.color = '#F59E0B';
+        setSecretCodeMessage(apiErrorMessage(err), '#F59E0B');
         showWarning();
+        trackCodeValidation(err.code === 'timeout' ? 'timeout' : 'error');
       }
       
       updateOrderSubmitBtn();
@@ -563,108 +707,134 @@ if (secretCodeInput) {
 /* ========================================
    Submit Order
 ======================================== */
+function collectOrderData() {
+  return {
+    productId: document.getElementById('orderProductId').value,
+    productSku: document.getElementById('orderProductSku').value,
+    productName: document.getElementById('orderProductName').textContent.trim(),
+    productImg: document.getElementById('orderProductImg').src,
+    fallbacks: selectedFallbacks(),
+    fullName: document.getElementById('fullName').value.trim(),
+    phone: document.getElementById('phone').value.trim(),
+    zip: document.getElementById('zip').value.trim(),
+    state: document.getElementById('state').value,
+    city: document.getElementById('city').value,
+    address: document.getElementById('address').value.trim(),
+    neighborhood: document.getElementById('neighborhood').value.trim(),
+    street: document.getElementById('street').value.trim(),
+    number: document.getElementById('number').value.trim(),
+    platform: document.getElementById('platform').value,
+    gameId: document.getElementById('gameId').value.trim(),
+    cpf: document.getElementById('cpf').value.replace(/\D/g, ''),
+    secretCode: document.getElementById('secretCode').value.trim(),
+    ref: currentMentorRef() || undefined,
+    locale: currentLocale()
+  };
+}
+
+// Wizard hook: the code page can only be left with a validated code.
+function canLeaveOrderStep(stepName) {
+  if (stepName !== 'code' || isSecretCodeValid) return true;
+  if (secretCodeInput.value.trim().length > 4) {
+    setSecretCodeMessage(t('code.waitValidation'), '#F59E0B');
+  } else {
+    setSecretCodeMessage(t('code.enterValid'), '#F59E0B');
+  }
+  secretCodeInput.focus();
+  return false;
+}
+
 if (orderForm) {
   orderForm.addEventListener('submit', async function (e) {
     e.preventDefault();
 
-    if (!orderForm.checkValidity() || !isCPFValid || !isSecretCodeValid) {
-      orderForm.reportValidity();
-      orderFormMessage.textContent = 'Verifique os campos e tente novamente.';
+    // Enter on an earlier page moves forward instead of sending
+    if (!isReviewStep()) {
+      nextWizardStep();
+      return;
+    }
+
+    const { valid, firstInvalid } = orderValidator.validateAll();
+    if (!valid || !orderForm.checkValidity() || !isSecretCodeValid) {
+      if (!isSecretCodeValid && valid) {
+        setSecretCodeMessage(t('code.enterValid'), '#F59E0B');
+      }
+      trackEvent('submit_attempt', { ...orderAnalyticsContext(), outcome: 'invalid' });
+      const target = firstInvalid || orderForm.querySelector(':invalid') || secretCodeInput;
+      if (target) showWizardStepFor(target);
+      orderFormMessage.textContent = t('order.fixFields');
       orderFormMessage.style.color = '#F59E0B';
-      orderSubmitBtn.disabled = false;
       return;
     }
 
     orderSubmitBtn.disabled = true;
-    orderFormMessage.textContent = 'Enviando pedido...';
+    orderFormMessage.textContent = t('order.sending');
     orderFormMessage.style.color = '#2D1B4E';
 
-    const productName = document.getElementById('orderProductName').textContent.trim();
-    const productImg = document.getElementById('orderProductImg').src;
-    if (!productName) {
-      orderFormMessage.textContent = "Erro: Produto não detectado.";
+    const data = collectOrderData();
+    if (!data.productName) {
+      orderFormMessage.textContent = t('order.noProduct');
       orderFormMessage.style.color = "#F59E0B";
       orderSubmitBtn.disabled = false;
       return;
     }
 
-    const data = {
-      productId: document.getElementById('orderProductId').value,
-      productName,
-      productImg,
-      fullName: document.getElementById('fullName').value.trim(),
-      phone: document.getElementById('phone').value.trim(),
-      zip: document.getElementById('zip').value.trim(),
-      state: document.getElementById('state').value,
-      city: document.getElementById('city').value,
-      address: document.getElementById('address').value.trim(),
-      neighborhood: document.getElementById('neighborhood').value.trim(),
-      street: document.getElementById('street').value.trim(),
-      number: document.getElementById('number').value.trim(),
-      platform: document.getElementById('platform').value,
-      gameId: document.getElementById('gameId').value.trim(),
-      cpf: document.getElementById('cpf').value.trim(),
-      secretCode: document.getElementById('secretCode').value.trim()
-    };
+    // Same code already sent from this tab (Back button, second tap...)
+    const submittedOrderId = submittedOrderFor(data.secretCode);
+    if (submittedOrderId) {
+      trackEvent('submit_attempt', { tier: data.productId, sku: data.productSku, outcome: 'duplicate' });
+      showAlreadySubmitted(submittedOrderId);
+      return;
+    }
 
+    trackEvent('submit_attempt', { tier: data.productId, sku: data.productSku, outcome: 'sent' });
     try {
-      const controller = new AbortController();
-      const timeout = setTimeout(() => controller.abort(), 30000);
-      
-      const response = await fetch(`${BACKEND_URL}/order`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(data),
-        signal: controller.signal
-      });
-      
-      clearTimeout(timeout);
-      const result = await response.json();
+      const result = await submitOrder(data);
       
       if (result.status === 'success') {
-        const cachedKey = `${data.productId}:${data.secretCode}`;
-        validationCache.delete(cachedKey);
+        trackEvent('order_success', { tier: data.productId, sku: data.productSku });
+        validationCache.delete(validationCacheKey(data.productId, data.productSku, data.secretCode));
         
-        // Build confirmation URL
-        const confirmUrl = new URL('confirmation.html', window.location.href);
-        confirmUrl.searchParams.set('productImg', data.productImg);
-        confirmUrl.searchParams.set('productName', data.productName);
-        confirmUrl.searchParams.set('secretCode', data.secretCode);
-        confirmUrl.searchParams.set('fullName', data.fullName);
-        confirmUrl.searchParams.set('cpf', data.cpf);
-        confirmUrl.searchParams.set('phone', data.phone);
-        confirmUrl.searchParams.set('platform', data.platform);
-        confirmUrl.searchParams.set('gameId', data.gameId);
-        confirmUrl.searchParams.set('street', data.street);
-        confirmUrl.searchParams.set('number', data.number);
-        confirmUrl.searchParams.set('neighborhood', data.neighborhood);
-        confirmUrl.searchParams.set('city', data.city);
-        confirmUrl.searchParams.set('state', data.state);
-        confirmUrl.searchParams.set('zip', data.zip);
-        
-        // Redirect
-        window.location.href = confirmUrl.toString();
+        // Only an opaque reference goes in the URL; the receipt itself comes
+        // from GET /order/:id or from the short-lived sessionStorage handoff.
+        const orderId = result.orderId || createOrderReference();
+        const receipt = { ...data, receiptToken: result.orderId ? result.receiptToken : undefined };
+        saveOrderHandoff(orderId, receipt);
+        addOrderToHistory(orderId, receipt);
+        markOrderSubmitted(data.secretCode, orderId);
+        clearOrderDraft();
+
+        // replace(): Back from the receipt skips the form that was just sent
+        window.location.replace(confirmationUrl(orderId));
       } else {
-        orderFormMessage.textContent = result.message || 'Erro ao enviar pedido. Tente novamente.';
+        orderFormMessage.textContent = result.message || t('order.sendError');
         orderFormMessage.style.color = '#F59E0B';
         orderSubmitBtn.disabled = false;
       }
     } catch (err) {
       console.error('Erro ao enviar pedido:', err);
-      if (err.name === 'AbortError') {
-        orderFormMessage.textContent = '⏱️ Tempo esgotado. Verifique sua conexão e tente novamente.';
-      } else {
-        orderFormMessage.textContent = '❌ Erro ao enviar. Verifique sua conexão.';
-      }
+      orderFormMessage.textContent = apiErrorMessage(err);
       orderFormMessage.style.color = '#F59E0B';
       orderSubmitBtn.disabled = false;
     }
   });
 }
 
+function showAlreadySubmitted(orderId) {
+  orderFormMessage.textContent = t('order.alreadySent');
+  orderFormMessage.style.color = '#F59E0B';
+  const link = document.createElement('a');
+  link.href = confirmationUrl(orderId);
+  link.textContent = t('order.viewReceipt');
+  orderFormMessage.append(' ', link);
+  orderSubmitBtn.disabled = false;
+}
+
+// The button stays clickable so a submit can point out what is missing;
+// it is only dimmed until every field passes.
 function updateOrderSubmitBtn() {
   if (orderSubmitBtn && orderForm) {
-    orderSubmitBtn.disabled = !(orderForm.checkValidity() && isCPFValid && isSecretCodeValid);
+    orderSubmitBtn.classList.toggle('is-incomplete', !(orderForm.checkValidity() && isSecretCodeValid));
   }
 }
 
@@ -672,45 +842,52 @@ function updateOrderSubmitBtn() {
    DOM READY SETUP
 ======================================== */
 document.addEventListener('DOMContentLoaded', () => {
+  setAnalyticsSinks([
+    ANALYTICS_ENDPOINT && createBeaconSink(ANALYTICS_ENDPOINT),
+    isCatalogPreview() && createConsoleSink()
+  ]);
+  applyTranslations(document);
+  initLanguageSwitcher(document.getElementById('languageSelect'));
+
   platformSelect = document.getElementById('platform');
   gameIdInput = document.getElementById('gameId');
 
-  const cpfInput = document.getElementById('cpf');
-  if (cpfInput) {
-    function validateAndUpdateCPF() {
-      if (!validateCPF(cpfInput.value)) {
-        isCPFValid = false;
-        orderFormMessage.textContent = 'CPF inválido!';
-        orderFormMessage.style.color = '#F59E0B';
-      } else {
-        isCPFValid = true;
-        if (orderFormMessage.textContent === 'CPF inválido!') {
-          orderFormMessage.textContent = '';
-          orderFormMessage.style.color = '';
-        }
-      }
-      updateOrderSubmitBtn();
-    }
-    
-    cpfInput.addEventListener('blur', validateAndUpdateCPF);
-    cpfInput.addEventListener('input', validateAndUpdateCPF);
-  }
-
   if (platformSelect) {
-    platformSelect.addEventListener('change', () => {
-      applyGameIdRules();
-      updateOrderSubmitBtn();
-    });
+    renderPlatformOptions(platformSelect);
+    platformSelect.addEventListener('change', applyGameIdRules);
   }
 
-  if (gameIdInput) {
-    gameIdInput.addEventListener('input', () => {
-      validateGameId();
-      updateOrderSubmitBtn();
+  if (orderForm) {
+    orderValidator = createFormValidator(orderForm, ORDER_FIELD_RULES);
+    initOrderWizard(orderForm, {
+      rules: ORDER_FIELD_RULES,
+      validateFields: names => orderValidator.validateFields(names),
+      canLeaveStep: canLeaveOrderStep,
+      collectData: collectOrderData
+    });
+    initOrderDraft(orderForm, {
+      onClear: () => {
+        orderValidator.reset();
+        setZipStatus('');
+        resetOrderWizard();
+        updateOrderSubmitBtn();
+      }
     });
+
+    // CEP lookup and the city picker change field validity on their own
+    orderForm.addEventListener('input', updateOrderSubmitBtn);
+    orderForm.addEventListener('change', updateOrderSubmitBtn);
   }
 
+  captureMentorRef();
+  warmUpBackend();
+  requestFormToken();
+  applyMentorLinks(null, document);
   applyGameIdRules();
+  initCatalogSearch();
+  initClaimFlow();
+  initPrizeFallbacks();
+  initProductLinks();
   loadCatalog();
 });
 
@@ -727,10 +904,7 @@ document.addEventListener('scroll', () => {
   }
 });
 
-const criticalImages = [
-  'https://i.ibb.co/BHYkmXfs/Whatsapp-Transparent.gif',
-  'https://i.ibb.co/s9x87GHJ/Telegram-logo.gif'
-];
+const criticalImages = Object.values(currentBrand().contactIcons);
 
 criticalImages.forEach(src => {
   const img = new Image();
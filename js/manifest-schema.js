@@ -0,0 +1,360 @@
+'use strict';
+
+/* ========================================
+   MANIFEST SCHEMA
+======================================== */
+// Shared by the catalog (browser) and tools/validate-manifest.js (Node).
+//
+// Each manifest declares its `version`. Older versions are migrated step by
+// step up to MANIFEST_CURRENT_VERSION and then checked against that
+// version's schema. Errors are reported as "<path> <problem>", e.g.
+// "tiers[0].items[12].file missing".
+const MANIFEST_CURRENT_VERSION = 1;
+
+const IMAGE_FILE_PATTERN = /^[^/\\]+\.(webp|png|jpe?g|gif|avif)$/i;
+const SKU_PATTERN = /^[A-Za-z0-9._-]+$/;
+
+// Manifest text is written in pt-BR; items, tiers and platforms may carry
+// translations for the other site languages (I18N_LOCALES in js/i18n.js):
+//   { "file": ..., "name": "CANECA", "i18n": { "es": { "name": "TAZA" }, "en": { "name": "MUG" } } }
+const MANIFEST_TRANSLATED_LOCALES = ['es', 'en'];
+
+function translationsSchema(properties) {
+  const locales = {};
+  MANIFEST_TRANSLATED_LOCALES.forEach(locale => {
+    locales[locale] = { type: 'object', properties };
+  });
+  return { type: 'object', properties: locales };
+}
+
+const MANIFEST_ITEM_SCHEMA_V1 = {
+  type: 'object',
+  requireOneOf: ['file', 'url'],
+  required: ['name'],
+  properties: {
+    file: { type: 'string', pattern: IMAGE_FILE_PATTERN, hint: 'must be an image file name (e.g. VAI0001.webp)' },
+    url: { type: 'string', pattern: /^https:\/\//, hint: 'must be an https:// URL' },
+    name: { type: 'string', minLength: 1 },
+    sku: { type: 'string', pattern: SKU_PATTERN, hint: 'may only contain letters, digits, ., - and _' },
+    tags: { type: 'array', items: { type: 'string', minLength: 1 } },
+    stock: { type: 'integer', minimum: 0 },
+    available: { type: 'boolean' },
+    pinned: { type: 'boolean' },
+    i18n: translationsSchema({ name: { type: 'string', minLength: 1 } })
+  }
+};
+
+const MANIFEST_PLATFORM_SCHEMA_V1 = {
+  type: 'object',
+  required: ['id', 'name', 'gameId'],
+  properties: {
+    id: { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, hint: 'may only contain letters, digits, - and _' },
+    name: { type: 'string', minLength: 1 },
+    gameId: {
+      type: 'object',
+      required: ['pattern'],
+      properties: {
+        pattern: { type: 'string', minLength: 1 },
+        maxLength: { type: 'integer', minimum: 1 },
+        numeric: { type: 'boolean' },
+        placeholder: { type: 'string' },
+        example: { type: 'string' },
+        hint: { type: 'string' },
+        error: { type: 'string' }
+      }
+    },
+    mentors: {
+      type: 'object',
+      properties: {
+        whatsapp: { type: 'string', pattern: /^https:\/\//, hint: 'must be an https:// URL' },
+        telegram: { type: 'string', pattern: /^https:\/\//, hint: 'must be an https:// URL' }
+      }
+    },
+    i18n: translationsSchema({
+      name: { type: 'string', minLength: 1 },
+      gameId: {
+        type: 'object',
+        properties: {
+          placeholder: { type: 'string' },
+          hint: { type: 'string' },
+          error: { type: 'string' }
+        }
+      }
+    })
+  }
+};
+
+// ?ref=<id> links attribute a visit to a mentor; their own contact links
+// then replace the generic ones (see js/mentor-referral.js).
+const MANIFEST_MENTOR_SCHEMA_V1 = {
+  type: 'object',
+  required: ['id'],
+  properties: {
+    id: { type: 'string', pattern: /^[A-Za-z0-9_-]{1,40}$/, hint: 'may only contain letters, digits, - and _ (max 40)' },
+    name: { type: 'string', minLength: 1 },
+    whatsapp: { type: 'string', pattern: /^https:\/\//, hint: 'must be an https:// URL' },
+    telegram: { type: 'string', pattern: /^https:\/\//, hint: 'must be an https:// URL' }
+  }
+};
+
+const MANIFEST_SCHEMAS = {
+  1: {
+    type: 'object',
+    required: ['version', 'baseUrl', 'tiers'],
+    properties: {
+      version: { type: 'integer' },
+      baseUrl: { type: 'string', pattern: /^https:\/\/.+\/$/, hint: 'must be an https:// URL ending with /' },
+      platforms: { type: 'array', minItems: 1, items: MANIFEST_PLATFORM_SCHEMA_V1 },
+      mentors: { type: 'array', items: MANIFEST_MENTOR_SCHEMA_V1 },
+      tiers: {
+        type: 'array',
+        minItems: 1,
+        items: {
+          type: 'object',
+          required: ['id', 'items'],
+          properties: {
+            id: { type: 'string', pattern: /^[A-Za-z0-9_-]+$/, hint: 'may only contain letters, digits, - and _' },
+            label: { type: 'string' },
+            showFirst: { type: 'integer', minimum: 0 },
+            items: { type: 'array', minItems: 1, items: MANIFEST_ITEM_SCHEMA_V1 },
+            i18n: translationsSchema({ label: { type: 'string', minLength: 1 } })
+          }
+        }
+      }
+    }
+  }
+};
+
+// MANIFEST_MIGRATIONS[n] turns a version n manifest into version n + 1.
+// None yet: the first published manifest was already version 1.
+const MANIFEST_MIGRATIONS = {};
+
+/* ========================================
+   ITEM HELPERS
+======================================== */
+// Stable product ID sent to the backend. Defaults to the image basename
+// (VAI0001.webp -> VAI0001) so renaming an item never changes it.
+function itemSku(item) {
+  if (!item) return '';
+  if (typeof item.sku === 'string' && item.sku) return item.sku;
+  const source = item.file || (typeof item.url === 'string' ? item.url.split(/[?#]/)[0].split('/').pop() : '');
+  return String(source || '').replace(/\.[^.]+$/, '');
+}
+
+// Sold out when the manifest says so: `available: false` or `stock: 0`.
+function isItemSoldOut(item) {
+  return !!item && (item.available === false || item.stock === 0);
+}
+
+// The entry with its `i18n[locale]` text laid over it (nested objects such
+// as gameId are merged, not replaced). Unchanged for pt-BR or no translation.
+function localizeManifestEntry(entry, locale) {
+  const overrides = entry && entry.i18n && entry.i18n[locale];
+  if (describeType(overrides) !== 'object') return entry;
+  const localized = { ...entry };
+  Object.keys(overrides).forEach(key => {
+    localized[key] = describeType(entry[key]) === 'object' && describeType(overrides[key]) === 'object'
+      ? { ...entry[key], ...overrides[key] }
+      : overrides[key];
+  });
+  return localized;
+}
+
+// Copy of a validated manifest with tiers, items and platforms localized.
+function localizeManifest(manifest, locale) {
+  const localizeAll = list => (Array.isArray(list) ? list.map(entry => localizeManifestEntry(entry, locale)) : list);
+  const tiers = Array.isArray(manifest.tiers)
+    ? manifest.tiers.map(tier => {
+      const localized = localizeManifestEntry(tier, locale);
+      return describeType(localized) === 'object' ? { ...localized, items: localizeAll(localized.items) } : localized;
+    })
+    : manifest.tiers;
+  return { ...manifest, tiers, platforms: localizeAll(manifest.platforms) };
+}
+
+/* ========================================
+   SCHEMA CHECKER
+======================================== */
+function joinPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+function describeType(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+function checkAgainstSchema(value, schema, path, errors) {
+  const label = path || 'manifest';
+
+  switch (schema.type) {
+    case 'object': {
+      if (describeType(value) !== 'object') {
+        errors.push(`${label} must be an object, got ${describeType(value)}`);
+        return;
+      }
+      (schema.required || []).forEach(key => {
+        if (value[key] === undefined) errors.push(`${joinPath(path, key)} missing`);
+      });
+      if (schema.requireOneOf) {
+        const present = schema.requireOneOf.filter(key => value[key] !== undefined);
+        if (present.length === 0) {
+          errors.push(`${joinPath(path, schema.requireOneOf[0])} missing (or ${schema.requireOneOf.slice(1).join(', ')})`);
+        } else if (present.length > 1) {
+          errors.push(`${label} must have only one of ${schema.requireOneOf.join(', ')}`);
+        }
+      }
+      Object.keys(value).forEach(key => {
+        if (value[key] === undefined) return;
+        const propSchema = schema.properties[key];
+        if (!propSchema) {
+          errors.push(`${joinPath(path, key)} is not a known property`);
+          return;
+        }
+        checkAgainstSchema(value[key], propSchema, joinPath(path, key), errors);
+      });
+      return;
+    }
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${label} must be an array, got ${describeType(value)}`);
+        return;
+      }
+      if (schema.minItems && value.length < schema.minItems) {
+        errors.push(`${label} must have at least ${schema.minItems} item(s)`);
+      }
+      value.forEach((entry, idx) => checkAgainstSchema(entry, schema.items, joinPath(path, idx), errors));
+      return;
+    case 'string':
+      if (typeof value !== 'string') {
+        errors.push(`${label} must be a string, got ${describeType(value)}`);
+        return;
+      }
+      if (schema.minLength && value.trim().length < schema.minLength) {
+        errors.push(`${label} is empty`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        errors.push(`${label} ${schema.hint || `does not match ${schema.pattern}`}`);
+      }
+      return;
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        errors.push(`${label} must be an integer, got ${JSON.stringify(value)}`);
+      } else if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${label} must be >= ${schema.minimum}`);
+      }
+      return;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${label} must be true or false, got ${JSON.stringify(value)}`);
+      }
+      return;
+  }
+}
+
+// Rules a per-node schema can't express.
+function checkManifestConsistency(manifest, errors) {
+  const platformIds = new Set();
+  (Array.isArray(manifest.platforms) ? manifest.platforms : []).forEach((platform, p) => {
+    if (!platform || typeof platform !== 'object') return;
+    if (platformIds.has(platform.id)) errors.push(`platforms[${p}].id "${platform.id}" is duplicated`);
+    platformIds.add(platform.id);
+
+    const gameId = platform.gameId || {};
+    if (typeof gameId.pattern !== 'string') return;
+    let regex;
+    try {
+      regex = new RegExp(gameId.pattern);
+    } catch (err) {
+      errors.push(`platforms[${p}].gameId.pattern is not a valid regular expression`);
+      return;
+    }
+    if (typeof gameId.example === 'string' && !regex.test(gameId.example)) {
+      errors.push(`platforms[${p}].gameId.example "${gameId.example}" does not match its own pattern`);
+    }
+  });
+
+  // ?ref= matching is case-insensitive, so "Ana" and "ana" are the same mentor
+  const mentorIds = new Set();
+  (Array.isArray(manifest.mentors) ? manifest.mentors : []).forEach((mentor, m) => {
+    if (!mentor || typeof mentor.id !== 'string') return;
+    const id = mentor.id.toLowerCase();
+    if (mentorIds.has(id)) errors.push(`mentors[${m}].id "${mentor.id}" is duplicated`);
+    mentorIds.add(id);
+  });
+
+  const tierIds = new Map();
+  const skus = new Map();
+  (Array.isArray(manifest.tiers) ? manifest.tiers : []).forEach((tier, t) => {
+    if (!tier || typeof tier !== 'object') return;
+    if (tierIds.has(tier.id)) {
+      errors.push(`tiers[${t}].id "${tier.id}" duplicates tiers[${tierIds.get(tier.id)}].id`);
+    } else {
+      tierIds.set(tier.id, t);
+    }
+
+    const files = new Map();
+    (Array.isArray(tier.items) ? tier.items : []).forEach((item, i) => {
+      if (!item || typeof item !== 'object') return;
+
+      // SKUs identify the prize across the whole catalog, not just one tier
+      const sku = itemSku(item);
+      if (sku && skus.has(sku)) {
+        errors.push(`tiers[${t}].items[${i}] sku "${sku}" duplicates ${skus.get(sku)}`);
+      } else if (sku) {
+        skus.set(sku, `tiers[${t}].items[${i}]`);
+      }
+
+      if (typeof item.file !== 'string') return;
+      if (files.has(item.file)) {
+        errors.push(`tiers[${t}].items[${i}].file "${item.file}" duplicates tiers[${t}].items[${files.get(item.file)}].file`);
+      } else {
+        files.set(item.file, i);
+      }
+    });
+  });
+}
+
+/* ========================================
+   PUBLIC API
+======================================== */
+function migrateManifest(raw) {
+  if (describeType(raw) !== 'object') {
+    return { manifest: raw, errors: [`manifest must be an object, got ${describeType(raw)}`] };
+  }
+
+  let version = raw.version;
+  if (version === undefined) {
+    return { manifest: raw, errors: ['version missing'] };
+  }
+  if (!Number.isInteger(version) || version < 1) {
+    return { manifest: raw, errors: [`version must be a positive integer, got ${JSON.stringify(raw.version)}`] };
+  }
+  if (version > MANIFEST_CURRENT_VERSION) {
+    return { manifest: raw, errors: [`version ${version} is newer than this site supports (${MANIFEST_CURRENT_VERSION})`] };
+  }
+
+  let manifest = raw;
+  while (version < MANIFEST_CURRENT_VERSION) {
+    manifest = MANIFEST_MIGRATIONS[version](manifest);
+    version++;
+  }
+  return { manifest, errors: [] };
+}
+
+// Returns { manifest, errors, migratedFrom } where manifest is the
+// migrated (current version) document.
+function validateManifest(raw) {
+  const { manifest, errors } = migrateManifest(raw);
+  const migratedFrom = errors.length === 0 && raw.version !== MANIFEST_CURRENT_VERSION ? raw.version : null;
+  if (errors.length === 0) {
+    checkAgainstSchema(manifest, MANIFEST_SCHEMAS[MANIFEST_CURRENT_VERSION], '', errors);
+    checkManifestConsistency(manifest, errors);
+  }
+  return { manifest, errors, migratedFrom };
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MANIFEST_CURRENT_VERSION, MANIFEST_SCHEMAS, itemSku, localizeManifest, migrateManifest, validateManifest };
+}
@@ -0,0 +1,63 @@
+'use strict';
+
+/* ========================================
+   MENTOR REFERRAL (?ref=)
+======================================== */
+// Mentors share links like index.html?ref=ana. The ref is kept in
+// sessionStorage for the rest of the visit (a newer ?ref on landing wins),
+// sent as `ref` with /validate and /order so claims can be paid per mentor,
+// and routes the WhatsApp/Telegram buttons to that mentor when manifest.json
+// `mentors` has an entry for it:
+//   "mentors": [{ "id": "ana", "name": "Ana", "whatsapp": "https://wa.me/55...", "telegram": "https://t.me/..." }]
+// A ref without an entry is still sent; only the buttons stay generic.
+const MENTOR_REF_PARAM = 'ref';
+const MENTOR_REF_KEY = 'mentor_ref';
+const MENTOR_REF_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+
+let mentorRegistry = [];
+let mentorRef = '';
+
+function captureMentorRef() {
+  const fromUrl = (new URLSearchParams(window.location.search).get(MENTOR_REF_PARAM) || '').trim();
+  try {
+    if (MENTOR_REF_PATTERN.test(fromUrl)) sessionStorage.setItem(MENTOR_REF_KEY, fromUrl);
+    mentorRef = sessionStorage.getItem(MENTOR_REF_KEY) || '';
+  } catch (err) {
+    mentorRef = MENTOR_REF_PATTERN.test(fromUrl) ? fromUrl : '';
+  }
+  if (fromUrl && !MENTOR_REF_PATTERN.test(fromUrl)) {
+    console.warn(`Parâmetro ref inválido ignorado: "${fromUrl}"`);
+  }
+}
+
+function currentMentorRef() {
+  return mentorRef;
+}
+
+function setMentorRegistry(mentors) {
+  mentorRegistry = (Array.isArray(mentors) ? mentors : []).filter(m => m && typeof m.id === 'string');
+}
+
+function currentMentor() {
+  if (!mentorRef) return null;
+  const ref = mentorRef.toLowerCase();
+  return mentorRegistry.find(mentor => mentor.id.toLowerCase() === ref) || null;
+}
+
+/* ========================================
+   CONTACT LINKS
+======================================== */
+// Buttons marked data-mentor-link="whatsapp|telegram" point to, in order:
+// the referring mentor, the selected platform's mentors (order form only),
+// the brand's contacts (brand.js) or the href written in the HTML.
+function applyMentorLinks(platform, root) {
+  const mentor = currentMentor();
+  (root || document).querySelectorAll('[data-mentor-link]').forEach(link => {
+    if (!link.dataset.defaultHref) link.dataset.defaultHref = link.getAttribute('href');
+    const channel = link.dataset.mentorLink;
+    const href = (mentor && mentor[channel])
+      || platformMentorLink(platform, channel)
+      || currentBrand().contacts[channel];
+    link.setAttribute('href', href || link.dataset.defaultHref);
+  });
+}
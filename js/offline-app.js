@@ -0,0 +1,17 @@
+'use strict';
+
+/* ========================================
+   OFFLINE / INSTALLABLE APP
+======================================== */
+// Registers sw.js (catalog, images and pages cached for weak connections).
+// Waits for the page load so the first visit downloads the catalog first.
+const SERVICE_WORKER_URL = 'sw.js';
+
+function registerServiceWorker() {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.register(SERVICE_WORKER_URL).catch(err => {
+    console.warn('Service worker não registrado:', err);
+  });
+}
+
+window.addEventListener('load', registerServiceWorker);
@@ -0,0 +1,145 @@
+'use strict';
+
+/* ========================================
+   ORDER DRAFT
+======================================== */
+// Keeps what the winner typed in #orderForm in localStorage for two hours,
+// so closing the modal, reloading or coming back from the mentor's WhatsApp
+// or Telegram link in a new tab doesn't lose it. On a shared or family phone
+// the draft expires soon, and the CPF, the secret code and the chosen prize
+// are never saved.
+// Cleared after a successful POST /order or with "limpar dados".
+const ORDER_DRAFT_KEY = 'order_draft';
+const ORDER_DRAFT_TTL_MS = 2 * 60 * 60 * 1000;
+const ORDER_DRAFT_SAVE_DELAY_MS = 400;
+
+// state must come before city: changing the state clears the city.
+const ORDER_DRAFT_FIELDS = [
+  'fullName', 'phone', 'zip', 'state', 'city', 'neighborhood',
+  'street', 'number', 'address', 'platform', 'gameId'
+];
+
+let orderDraftForm;
+let orderDraftTimer = null;
+let restoringOrderDraft = false;
+
+function readOrderDraft() {
+  try {
+    const entry = JSON.parse(localStorage.getItem(ORDER_DRAFT_KEY));
+    if (!entry || entry.expiresAt < Date.now()) {
+      localStorage.removeItem(ORDER_DRAFT_KEY);
+      return null;
+    }
+    return entry.fields;
+  } catch (err) {
+    return null;
+  }
+}
+
+function saveOrderDraft() {
+  if (!orderDraftForm || restoringOrderDraft) return;
+  const fields = {};
+  ORDER_DRAFT_FIELDS.forEach(name => {
+    const value = orderDraftForm.elements[name] ? orderDraftForm.elements[name].value.trim() : '';
+    if (value) fields[name] = value;
+  });
+
+  try {
+    if (Object.keys(fields).length === 0) {
+      localStorage.removeItem(ORDER_DRAFT_KEY);
+    } else {
+      localStorage.setItem(ORDER_DRAFT_KEY, JSON.stringify({ expiresAt: Date.now() + ORDER_DRAFT_TTL_MS, fields }));
+    }
+  } catch (err) {
+    console.warn('Não foi possível salvar o rascunho:', err);
+  }
+  updateDraftStatus();
+}
+
+function scheduleOrderDraftSave(e) {
+  if (e && e.target && !ORDER_DRAFT_FIELDS.includes(e.target.name)) return;
+  clearTimeout(orderDraftTimer);
+  orderDraftTimer = setTimeout(saveOrderDraft, ORDER_DRAFT_SAVE_DELAY_MS);
+}
+
+function clearOrderDraft() {
+  clearTimeout(orderDraftTimer);
+  try {
+    localStorage.removeItem(ORDER_DRAFT_KEY);
+  } catch (err) {
+    // storage unavailable, nothing to clear
+  }
+  updateDraftStatus();
+}
+
+function updateDraftStatus() {
+  const status = document.getElementById('draftStatus');
+  if (status) status.textContent = readOrderDraft() ? t('draft.saved') : '';
+}
+
+/* ========================================
+   RESTORE / RESET
+======================================== */
+// Only fills empty fields, so it never overwrites what is already on screen.
+// Returns the names of the restored fields so the caller can re-validate them.
+function restoreOrderDraft() {
+  const draft = readOrderDraft();
+  if (!orderDraftForm || !draft) return [];
+
+  const restored = [];
+  restoringOrderDraft = true;
+  try {
+    ORDER_DRAFT_FIELDS.forEach(name => {
+      const input = orderDraftForm.elements[name];
+      const value = draft[name];
+      if (!input || !value || input.value.trim()) return;
+
+      if (name === 'state') {
+        input.value = value;
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+      } else if (name === 'city') {
+        if (!setSelectedCity(orderDraftForm.elements.state.value, value)) return;
+      } else if (name === 'platform') {
+        input.value = value;
+        if (input.value !== value) return; // platform no longer offered
+        input.dispatchEvent(new Event('change', { bubbles: true }));
+      } else {
+        input.value = value;
+      }
+      restored.push(name);
+    });
+  } finally {
+    restoringOrderDraft = false;
+  }
+  return restored;
+}
+
+// The CPF isn't saved, but "limpar dados" clears it from the screen too.
+function resetOrderDraftFields() {
+  [...ORDER_DRAFT_FIELDS, 'cpf'].forEach(name => {
+    const input = orderDraftForm.elements[name];
+    if (!input || name === 'city') return;
+    input.value = '';
+    delete input.dataset.autofilled;
+    if (input.tagName === 'SELECT') input.dispatchEvent(new Event('change', { bubbles: true }));
+  });
+}
+
+function initOrderDraft(form, { onClear } = {}) {
+  orderDraftForm = form;
+  if (!form) return;
+
+  form.addEventListener('input', scheduleOrderDraftSave);
+  form.addEventListener('change', scheduleOrderDraftSave);
+
+  const clearBtn = document.getElementById('clearDraftBtn');
+  if (clearBtn) {
+    clearBtn.addEventListener('click', () => {
+      if (!window.confirm(t('draft.confirmClear'))) return;
+      clearOrderDraft();
+      resetOrderDraftFields();
+      if (onClear) onClear();
+    });
+  }
+  updateDraftStatus();
+}
@@ -0,0 +1,71 @@
+'use strict';
+
+/* ========================================
+   ORDER HANDOFF (index -> confirmation)
+======================================== */
+// Keeps only what confirmation.html renders, already masked, for a few
+// minutes in sessionStorage. The redirect URL carries nothing but the ID.
+const ORDER_HANDOFF_PREFIX = 'order_handoff:';
+const ORDER_HANDOFF_TTL_MS = 10 * 60 * 1000;
+
+function createOrderReference() {
+  if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+    return `local-${window.crypto.randomUUID()}`;
+  }
+  return `local-${Date.now().toString(36)}${Math.random().toString(36).slice(2, 10)}`;
+}
+
+function pruneOrderHandoffs() {
+  const now = Date.now();
+  for (let i = sessionStorage.length - 1; i >= 0; i--) {
+    const key = sessionStorage.key(i);
+    if (!key || !key.startsWith(ORDER_HANDOFF_PREFIX)) continue;
+    try {
+      const entry = JSON.parse(sessionStorage.getItem(key));
+      if (!entry || entry.expiresAt < now) sessionStorage.removeItem(key);
+    } catch (err) {
+      sessionStorage.removeItem(key);
+    }
+  }
+}
+
+function saveOrderHandoff(orderId, order) {
+  try {
+    pruneOrderHandoffs();
+    sessionStorage.setItem(ORDER_HANDOFF_PREFIX + orderId, JSON.stringify({
+      expiresAt: Date.now() + ORDER_HANDOFF_TTL_MS,
+      order: {
+        productSku: order.productSku,
+        productName: order.productName,
+        productImg: order.productImg,
+        fallbacks: order.fallbacks || [],
+        secretCode: order.secretCode,
+        fullName: order.fullName,
+        cpf: maskCpf(order.cpf),
+        phone: maskPhoneNumber(order.phone),
+        platform: order.platform,
+        gameId: order.gameId,
+        street: order.street,
+        number: order.number,
+        neighborhood: order.neighborhood,
+        city: order.city,
+        state: order.state,
+        zip: order.zip,
+        createdAt: order.createdAt || new Date().toISOString(),
+        receiptToken: order.receiptToken || null
+      }
+    }));
+  } catch (err) {
+    console.warn('Não foi possível guardar o comprovante local:', err);
+  }
+}
+
+function readOrderHandoff(orderId) {
+  try {
+    const entry = JSON.parse(sessionStorage.getItem(ORDER_HANDOFF_PREFIX + orderId));
+    if (!entry || entry.expiresAt < Date.now()) return null;
+    return entry.order;
+  } catch (err) {
+    return null;
+  }
+}
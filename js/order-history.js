@@ -0,0 +1,103 @@
+'use strict';
+
+/* ========================================
+   ORDER HISTORY ("Meus pedidos")
+======================================== */
+// Claims made on this device, kept in localStorage so a receipt can be
+// opened again later. Only what the list shows is stored, plus the receipt
+// token: no CPF, phone, address or full secret code. The token stays on the
+// device (it is never put in a URL, see statusUrl). The receipt itself is regenerated from
+// GET /order/:id with the entry's receipt token, so entries without a
+// backend order ID ("local-...") can list the claim but not rebuild its receipt.
+const ORDER_HISTORY_KEY = 'order_history';
+const ORDER_HISTORY_LIMIT = 30;
+
+function readOrderHistory() {
+  try {
+    const list = JSON.parse(localStorage.getItem(ORDER_HISTORY_KEY));
+    return Array.isArray(list) ? list.filter(entry => entry && entry.orderId) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function writeOrderHistory(list) {
+  try {
+    if (list.length === 0) localStorage.removeItem(ORDER_HISTORY_KEY);
+    else localStorage.setItem(ORDER_HISTORY_KEY, JSON.stringify(list.slice(0, ORDER_HISTORY_LIMIT)));
+  } catch (err) {
+    console.warn('Não foi possível salvar o histórico de pedidos:', err);
+  }
+}
+
+// Newest first; re-adding an order ID replaces its entry.
+function addOrderToHistory(orderId, order) {
+  const entry = {
+    orderId,
+    receiptToken: order.receiptToken || null,
+    productSku: order.productSku || '',
+    productName: order.productName || '',
+    productImg: order.productImg || '',
+    maskedCode: maskSecretCode(order.secretCode),
+    createdAt: order.createdAt || new Date().toISOString()
+  };
+  writeOrderHistory([entry, ...readOrderHistory().filter(e => e.orderId !== orderId)]);
+}
+
+function removeOrderFromHistory(orderId) {
+  writeOrderHistory(readOrderHistory().filter(entry => entry.orderId !== orderId));
+}
+
+function clearOrderHistory() {
+  writeOrderHistory([]);
+}
+
+function receiptTokenFor(orderId) {
+  const entry = readOrderHistory().find(e => e.orderId === orderId);
+  return (entry && entry.receiptToken) || null;
+}
+
+function hasBackendOrderId(entry) {
+  return !entry.orderId.startsWith('local-');
+}
+
+/* ========================================
+   DOUBLE-SUBMIT GUARD
+======================================== */
+// Replaces the old one-shot `confirmation_viewed` flag, which blocked the
+// confirmation page itself. Now the receipt can be reopened at will, and what
+// is blocked is sending the same code twice from this tab: index.html checks
+// here before POST /order and points to the existing receipt instead.
+// Kept in sessionStorage like the idempotency keys, so it ends with the tab.
+const ORDER_SUBMITTED_PREFIX = 'order_submitted:';
+
+function markOrderSubmitted(secretCode, orderId) {
+  try {
+    sessionStorage.setItem(ORDER_SUBMITTED_PREFIX + secretCode, orderId);
+  } catch (err) {
+    // storage unavailable, the backend still rejects a used code
+  }
+}
+
+function submittedOrderFor(secretCode) {
+  try {
+    return sessionStorage.getItem(ORDER_SUBMITTED_PREFIX + secretCode);
+  } catch (err) {
+    return null;
+  }
+}
+
+function confirmationUrl(orderId) {
+  const url = new URL('confirmation.html', window.location.href);
+  url.searchParams.set('pedido', orderId);
+  return url.toString();
+}
+
+// Like the confirmation page, status.html gets only the order ID and finds
+// the receipt token with receiptTokenFor, so the token never ends up in
+// browser history, referrers or shared links.
+function statusUrl(orderId) {
+  const url = new URL('status.html', window.location.href);
+  url.searchParams.set('pedido', orderId);
+  return url.toString();
+}
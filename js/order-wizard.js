@@ -0,0 +1,179 @@
+'use strict';
+
+/* ========================================
+   ORDER WIZARD
+======================================== */
+// Splits #orderForm into <fieldset class="wizard-step" data-step="..."> pages:
+// Dados pessoais -> Endereço -> Conta POP -> Código secreto -> Revisão.
+// "CONTINUAR" validates only the fields of the current page, and the last
+// page lays the data out like confirmation.html before anything is sent.
+//
+// hooks: {
+//   rules             field rules, to know which inputs a page validates
+//   validateFields    (names) => { valid, firstInvalid }
+//   canLeaveStep?     (stepName) => boolean, for checks beyond field rules
+//   collectData       () => order payload, rendered on the review page
+// }
+let wizardForm;
+let wizardSteps = [];
+let wizardIndex = 0;
+let wizardHooks = {};
+
+function currentWizardStep() {
+  return wizardSteps[wizardIndex];
+}
+
+function isReviewStep() {
+  return !!currentWizardStep() && currentWizardStep().dataset.step === 'review';
+}
+
+function stepFieldNames(step) {
+  return Array.from(step.querySelectorAll('[name]'))
+    .map(input => input.name)
+    .filter(name => wizardHooks.rules[name]);
+}
+
+function showWizardStep(index, { focus = true } = {}) {
+  wizardIndex = Math.max(0, Math.min(index, wizardSteps.length - 1));
+  wizardSteps.forEach((step, i) => { step.hidden = i !== wizardIndex; });
+
+  document.querySelectorAll('#wizardProgress li').forEach((item, i) => {
+    item.classList.toggle('done', i < wizardIndex);
+    if (i === wizardIndex) item.setAttribute('aria-current', 'step');
+    else item.removeAttribute('aria-current');
+  });
+
+  if (isReviewStep()) renderOrderReview();
+  if (focus) currentWizardStep().querySelector('.wizard-step-title').focus();
+}
+
+function goToWizardStep(name) {
+  const index = wizardSteps.findIndex(step => step.dataset.step === name);
+  if (index >= 0) showWizardStep(index);
+}
+
+// Brings up the page holding `field`, e.g. the first invalid one on submit.
+function showWizardStepFor(field) {
+  const index = wizardSteps.indexOf(field.closest('.wizard-step'));
+  if (index >= 0) showWizardStep(index, { focus: false });
+  field.focus();
+}
+
+function nextWizardStep() {
+  const step = currentWizardStep();
+  const { valid, firstInvalid } = wizardHooks.validateFields(stepFieldNames(step));
+  if (!valid) {
+    firstInvalid.focus();
+    return;
+  }
+  if (wizardHooks.canLeaveStep && !wizardHooks.canLeaveStep(step.dataset.step)) return;
+  showWizardStep(wizardIndex + 1);
+}
+
+function resetOrderWizard() {
+  if (wizardSteps.length > 0) showWizardStep(0, { focus: false });
+}
+
+/* ========================================
+   REVIEW
+======================================== */
+// Same labels and formatting as confirmation.html, grouped by page so each
+// group can jump back to where it is edited.
+const ORDER_REVIEW_SECTIONS = [
+  {
+    step: 'personal',
+    title: t('wizard.personal'),
+    rows: [
+      [t('detail.name'), d => d.fullName],
+      [t('detail.phone'), d => d.phone]
+    ]
+  },
+  {
+    step: 'address',
+    title: t('wizard.address'),
+    rows: [
+      [t('detail.address'), d => [d.street, d.number].filter(Boolean).join(', ')],
+      [t('detail.complement'), d => d.address],
+      [t('detail.neighborhood'), d => d.neighborhood],
+      [t('detail.city'), d => [d.city, d.state].filter(Boolean).join(' - ')],
+      [t('detail.zip'), d => d.zip]
+    ]
+  },
+  {
+    step: 'account',
+    title: t('wizard.account'),
+    rows: [
+      [t('detail.platform'), d => (getPlatform(d.platform) || {}).name || d.platform],
+      [t('detail.gameId'), d => d.gameId],
+      [t('detail.cpf'), d => applyDigitMask(d.cpf, '000.000.000-00')]
+    ]
+  },
+  {
+    step: 'code',
+    title: t('wizard.code'),
+    rows: [
+      [t('detail.code'), d => d.secretCode],
+      [t('detail.fallbacks'), d => (d.fallbacks || []).map((f, i) => t('fallback.ranked', { rank: i + 1, name: f.name })).join(' · '), { optional: true }]
+    ]
+  }
+];
+
+function renderOrderReview() {
+  const container = document.getElementById('orderReview');
+  if (!container) return;
+  const data = wizardHooks.collectData();
+  container.innerHTML = '';
+
+  ORDER_REVIEW_SECTIONS.forEach(section => {
+    const group = document.createElement('section');
+    group.className = 'review-section';
+
+    const header = document.createElement('div');
+    header.className = 'review-section-header';
+    const title = document.createElement('strong');
+    title.textContent = section.title;
+    const edit = document.createElement('button');
+    edit.type = 'button';
+    edit.className = 'review-edit';
+    edit.dataset.step = section.step;
+    edit.textContent = t('review.edit');
+    edit.setAttribute('aria-label', t('review.editSection', { section: section.title }));
+    header.append(title, edit);
+    group.appendChild(header);
+
+    section.rows.forEach(([label, format, { optional = false } = {}]) => {
+      const value = format(data);
+      if (!value && optional) return;
+      const row = document.createElement('div');
+      row.className = 'review-row';
+      const labelEl = document.createElement('span');
+      labelEl.className = 'review-label';
+      labelEl.textContent = `${label}:`;
+      const valueEl = document.createElement('span');
+      valueEl.className = 'review-value';
+      valueEl.textContent = value || '—';
+      row.append(labelEl, valueEl);
+      group.appendChild(row);
+    });
+
+    container.appendChild(group);
+  });
+}
+
+/* ========================================
+   INIT
+======================================== */
+function initOrderWizard(form, hooks) {
+  wizardForm = form;
+  wizardHooks = hooks;
+  wizardSteps = Array.from(form.querySelectorAll('.wizard-step'));
+  if (wizardSteps.length === 0) return;
+
+  wizardForm.addEventListener('click', e => {
+    if (e.target.closest('.wizard-next')) nextWizardStep();
+    else if (e.target.closest('.wizard-prev')) showWizardStep(wizardIndex - 1);
+    else if (e.target.closest('.review-edit')) goToWizardStep(e.target.closest('.review-edit').dataset.step);
+  });
+
+  resetOrderWizard();
+}
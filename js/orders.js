@@ -0,0 +1,92 @@
+'use strict';
+
+/* ========================================
+   MEUS PEDIDOS PAGE
+======================================== */
+const ordersList = document.getElementById('ordersList');
+const ordersEmpty = document.getElementById('ordersEmpty');
+const clearHistoryBtn = document.getElementById('clearHistoryBtn');
+
+function buildOrderLink(href, text) {
+  const link = document.createElement('a');
+  link.href = href;
+  link.textContent = text;
+  return link;
+}
+
+function buildOrderItem(entry) {
+  const li = document.createElement('li');
+  li.className = 'order-item';
+
+  const img = document.createElement('img');
+  img.crossOrigin = 'anonymous';
+  img.src = entry.productImg || '';
+  img.alt = '';
+  img.loading = 'lazy';
+
+  const info = document.createElement('div');
+  info.className = 'order-info';
+  const name = document.createElement('div');
+  name.className = 'order-name';
+  name.textContent = entry.productName || t('common.prize');
+  const meta = document.createElement('div');
+  meta.className = 'order-meta';
+  meta.textContent = [formatDateTime(entry.createdAt), entry.maskedCode && t('orders.code', { code: entry.maskedCode })]
+    .filter(Boolean).join(' · ');
+  info.append(name, meta);
+
+  const actions = document.createElement('div');
+  actions.className = 'order-actions';
+  if (hasBackendOrderId(entry)) {
+    actions.appendChild(buildOrderLink(confirmationUrl(entry.orderId), t('orders.receipt')));
+  }
+  actions.appendChild(buildOrderLink(
+    hasBackendOrderId(entry) && entry.receiptToken
+      ? statusUrl(entry.orderId)
+      : 'status.html',
+    t('orders.track')
+  ));
+  const remove = document.createElement('button');
+  remove.type = 'button';
+  remove.className = 'order-remove';
+  remove.dataset.orderId = entry.orderId;
+  remove.textContent = t('orders.remove');
+  remove.setAttribute('aria-label', t('orders.removeLabel', { product: entry.productName || t('common.prize') }));
+  actions.appendChild(remove);
+  info.appendChild(actions);
+
+  if (!hasBackendOrderId(entry)) {
+    const note = document.createElement('div');
+    note.className = 'order-note';
+    note.textContent = t('orders.localNote');
+    info.appendChild(note);
+  }
+
+  li.append(img, info);
+  return li;
+}
+
+function renderOrders() {
+  const history = readOrderHistory();
+  ordersList.innerHTML = '';
+  history.forEach(entry => ordersList.appendChild(buildOrderItem(entry)));
+  ordersEmpty.hidden = history.length > 0;
+  clearHistoryBtn.hidden = history.length === 0;
+}
+
+ordersList.addEventListener('click', e => {
+  const remove = e.target.closest('.order-remove');
+  if (!remove) return;
+  if (!window.confirm(t('orders.confirmRemove'))) return;
+  removeOrderFromHistory(remove.dataset.orderId);
+  renderOrders();
+});
+
+clearHistoryBtn.addEventListener('click', () => {
+  if (!window.confirm(t('orders.confirmClear'))) return;
+  clearOrderHistory();
+  renderOrders();
+});
+
+applyTranslations(document);
+renderOrders();
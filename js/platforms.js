@@ -0,0 +1,109 @@
+'use strict';
+
+/* ========================================
+   PLATFORM REGISTRY
+======================================== */
+// The PLATAFORMA select, the game ID rules and the mentor links in the
+// order form all come from manifest.json `platforms`. DEFAULT_PLATFORMS,
+// the brand's own (brand.js), is used until the manifest loads, or if it
+// defines no platforms.
+const DEFAULT_PLATFORMS = currentBrand().platforms.map(platform => ({
+  ...platform,
+  gameId: {
+    ...platform.gameId,
+    placeholder: t(platform.gameId.placeholder),
+    hint: t(platform.gameId.hint),
+    error: t(platform.gameId.error)
+  }
+}));
+
+const GAME_ID_DEFAULT_PLACEHOLDER = t('platform.gameIdPlaceholder');
+const GAME_ID_DEFAULT_MAX_LENGTH = 20;
+
+let platformRegistry = DEFAULT_PLATFORMS;
+const gameIdPatternCache = new Map();
+
+// Entries whose pattern does not compile are dropped; validateManifest
+// reports them.
+function setPlatformRegistry(platforms) {
+  const usable = (Array.isArray(platforms) ? platforms : [])
+    .filter(p => p && p.id && p.gameId && gameIdPattern(p));
+  platformRegistry = usable.length > 0 ? usable : DEFAULT_PLATFORMS;
+}
+
+function getPlatform(id) {
+  return platformRegistry.find(p => p.id === id) || null;
+}
+
+function gameIdPattern(platform) {
+  const source = platform.gameId && platform.gameId.pattern;
+  if (!gameIdPatternCache.has(source)) {
+    let regex = null;
+    try {
+      regex = new RegExp(source);
+    } catch (err) {
+      console.warn(`Padrão de ID de Jogo inválido para ${platform.id}:`, err.message);
+    }
+    gameIdPatternCache.set(source, regex);
+  }
+  return gameIdPatternCache.get(source);
+}
+
+function normalizeGameId(platform, value) {
+  const trimmed = String(value || '').trim();
+  return platform && platform.gameId.numeric ? trimmed.replace(/\D/g, '') : trimmed.replace(/\s+/g, '');
+}
+
+// '' when valid, otherwise the message to show under the field.
+function platformGameIdError(platform, value) {
+  const regex = gameIdPattern(platform);
+  if (regex && regex.test(value)) return '';
+  const rules = platform.gameId;
+  const message = rules.error || t('validation.gameIdInvalid', { platform: platform.name });
+  return rules.example ? t('validation.withExample', { message, example: rules.example }) : message;
+}
+
+/* ========================================
+   FORM BINDING
+======================================== */
+function renderPlatformOptions(select) {
+  if (!select) return;
+  const current = select.value;
+  select.innerHTML = '';
+
+  const placeholder = document.createElement('option');
+  placeholder.value = '';
+  placeholder.disabled = true;
+  placeholder.selected = true;
+  placeholder.textContent = t('field.platformPlaceholder');
+  select.appendChild(placeholder);
+
+  platformRegistry.forEach(platform => {
+    const option = document.createElement('option');
+    option.value = platform.id;
+    option.textContent = platform.name || platform.id;
+    select.appendChild(option);
+  });
+
+  if (getPlatform(current)) select.value = current;
+}
+
+function applyPlatformToGameId(platform, input, hint) {
+  if (!input) return;
+  const rules = platform ? platform.gameId : null;
+  input.placeholder = (rules && rules.placeholder) || GAME_ID_DEFAULT_PLACEHOLDER;
+  input.maxLength = (rules && rules.maxLength) || GAME_ID_DEFAULT_MAX_LENGTH;
+  input.inputMode = rules && !rules.numeric ? 'text' : 'numeric';
+  if (hint) {
+    if (hint.dataset.defaultText === undefined) hint.dataset.defaultText = hint.textContent;
+    if (!platform) hint.textContent = hint.dataset.defaultText;
+    else hint.textContent = rules.hint || t('platform.gameIdHint', { platform: platform.name || platform.id });
+  }
+}
+
+// Mentor contact for the order form; see applyMentorLinks in mentor-referral.js.
+// Only sister platforms set `mentors`: the brand's own platform uses the
+// brand's contacts, so one manifest serves every brand site.
+function platformMentorLink(platform, channel) {
+  return (platform && platform.mentors && platform.mentors[channel]) || '';
+}
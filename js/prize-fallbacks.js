@@ -0,0 +1,67 @@
+'use strict';
+
+/* ========================================
+   BACKUP PRIZES
+======================================== */
+// Up to two ranked alternates from the same tier, sent with the order as
+// `fallbacks: [{ sku, name }]` so fulfilment can swap a prize that ran out
+// without contacting the winner. Sold-out cards are never offered.
+const FALLBACK_SELECT_IDS = ['fallback1', 'fallback2'];
+
+let fallbackCandidateList = [];
+
+function fallbackCandidates(card) {
+  const section = card.closest('.reward-tier');
+  if (!section) return [];
+  return Array.from(section.querySelectorAll('.product-card:not(.sold-out)'))
+    .filter(other => other !== card && other.dataset.sku)
+    .map(other => ({ sku: other.dataset.sku, name: other.querySelector('.product-name').textContent }))
+    .sort((a, b) => a.name.localeCompare(b.name, currentLocale()));
+}
+
+function fallbackSelects() {
+  return FALLBACK_SELECT_IDS.map(id => document.getElementById(id)).filter(Boolean);
+}
+
+function fillFallbackSelect(select, candidates, exclude) {
+  const current = select.value;
+  select.innerHTML = '';
+  select.appendChild(new Option(t('fallback.none'), ''));
+  candidates
+    .filter(c => !exclude.includes(c.sku))
+    .forEach(c => select.appendChild(new Option(c.name, c.sku)));
+  select.value = exclude.includes(current) ? '' : current;
+  if (select.selectedIndex < 0) select.value = '';
+}
+
+// Each choice excludes the ones ranked above it; a lower rank needs a higher one first.
+function refreshFallbackSelects() {
+  const chosen = [];
+  fallbackSelects().forEach((select, idx) => {
+    fillFallbackSelect(select, fallbackCandidateList, chosen);
+    select.disabled = idx > 0 && !chosen[idx - 1];
+    if (select.disabled) select.value = '';
+    chosen.push(select.value);
+  });
+}
+
+function setupFallbackPrizes(card) {
+  const container = document.getElementById('fallbackPrizes');
+  if (!container) return;
+  fallbackCandidateList = fallbackCandidates(card);
+  fallbackSelects().forEach(select => { select.value = ''; });
+  refreshFallbackSelects();
+  container.hidden = fallbackCandidateList.length === 0;
+}
+
+function selectedFallbacks() {
+  const container = document.getElementById('fallbackPrizes');
+  if (!container || container.hidden) return [];
+  return fallbackSelects()
+    .map(select => fallbackCandidateList.find(c => c.sku === select.value))
+    .filter(Boolean);
+}
+
+function initPrizeFallbacks() {
+  fallbackSelects().forEach(select => select.addEventListener('change', refreshFallbackSelects));
+}
@@ -0,0 +1,85 @@
+'use strict';
+
+/* ========================================
+   PRODUCT DEEP LINKS
+======================================== */
+// Each prize has a shareable URL built from its SKU:
+//   ?produto=VAI0005     (canonical, what the address bar shows)
+//   #/premio/VAI0005     (also accepted, for links pasted into chats)
+// Opening a card pushes a history entry, so Back closes the modal and
+// Forward opens it again.
+const PRODUCT_QUERY_PARAM = 'produto';
+const PRODUCT_HASH_PATTERN = /^#\/premio\/([^/?#]+)/;
+
+function productSkuFromLocation() {
+  const fromQuery = new URLSearchParams(window.location.search).get(PRODUCT_QUERY_PARAM);
+  if (fromQuery) return fromQuery.trim();
+  const match = PRODUCT_HASH_PATTERN.exec(window.location.hash);
+  return match ? decodeURIComponent(match[1]) : '';
+}
+
+// Current URL with the product route set (or removed when sku is empty).
+function productUrl(sku) {
+  const url = new URL(window.location.href);
+  if (sku) url.searchParams.set(PRODUCT_QUERY_PARAM, sku);
+  else url.searchParams.delete(PRODUCT_QUERY_PARAM);
+  if (PRODUCT_HASH_PATTERN.test(url.hash)) url.hash = '';
+  return url.toString();
+}
+
+function findProductCard(sku) {
+  if (!sku) return null;
+  return Array.from(document.querySelectorAll('#catalog .product-card'))
+    .find(card => card.dataset.sku === sku) || null;
+}
+
+/* ========================================
+   HISTORY
+======================================== */
+// state.productModal marks entries this page pushed itself; only those
+// can be left with history.back() without leaving the site.
+function pushProductRoute(sku) {
+  if (!sku || productSkuFromLocation() === sku) return;
+  history.pushState({ productModal: sku }, '', productUrl(sku));
+}
+
+function leaveProductRoute() {
+  if (history.state && history.state.productModal) {
+    history.back();
+  } else {
+    history.replaceState(null, '', productUrl(''));
+    closeOrderModal();
+  }
+}
+
+function syncProductRoute() {
+  const sku = productSkuFromLocation();
+  const card = findProductCard(sku);
+  if (card && canOrderCard(card)) openOrderModal(card);
+  else closeOrderModal();
+}
+
+// Called once the catalog is rendered.
+function openLinkedProduct() {
+  const sku = productSkuFromLocation();
+  if (!sku) return;
+  const card = findProductCard(sku);
+  if (!card) {
+    console.warn(`Prêmio "${sku}" não encontrado no catálogo`);
+    history.replaceState(null, '', productUrl(''));
+    return;
+  }
+  if (!canOrderCard(card)) {
+    console.warn(`Prêmio "${sku}" esgotado`);
+    history.replaceState(null, '', productUrl(''));
+    card.scrollIntoView({ block: 'center' });
+    return;
+  }
+  // Normalise #/premio/ links to the canonical ?produto= form
+  history.replaceState(null, '', productUrl(sku));
+  openOrderModal(card);
+}
+
+function initProductLinks() {
+  window.addEventListener('popstate', syncProductRoute);
+}
@@ -0,0 +1,38 @@
+'use strict';
+
+/* ========================================
+   RECEIPT VERIFICATION LINKS
+======================================== */
+// The receipt QR code holds a link to verify.html with the order ID and the
+// backend-issued token, so any phone camera opens the verification directly:
+//   verify.html?pedido=<orderId>&t=<receiptToken>
+const RECEIPT_ORDER_PARAM = 'pedido';
+const RECEIPT_TOKEN_PARAM = 't';
+
+function receiptPageUrl(page, orderId, token) {
+  const url = new URL(page, window.location.href);
+  url.searchParams.set(RECEIPT_ORDER_PARAM, orderId);
+  url.searchParams.set(RECEIPT_TOKEN_PARAM, token);
+  return url.toString();
+}
+
+function receiptVerifyUrl(orderId, token) {
+  return receiptPageUrl('verify.html', orderId, token);
+}
+
+// Accepts what a QR reader or a paste gives back: the full link, or just its
+// query string. Returns { orderId, token } or null.
+function parseReceiptPayload(text) {
+  const value = String(text || '').trim();
+  if (!value) return null;
+
+  let params;
+  try {
+    params = new URL(value, window.location.href).searchParams;
+  } catch (err) {
+    return null;
+  }
+  const orderId = (params.get(RECEIPT_ORDER_PARAM) || '').trim();
+  const token = (params.get(RECEIPT_TOKEN_PARAM) || '').trim();
+  return orderId && token ? { orderId, token } : null;
+}
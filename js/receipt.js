@@ -0,0 +1,191 @@
+'use strict';
+
+/* ========================================
+   RECEIPT (PDF + QR + SHARE)
+======================================== */
+// Builds the downloadable receipt from the order data itself instead of a
+// screenshot. The QR code points to verify.html, where the backend confirms
+// the order, so a doctored copy fails the check. Orders saved only locally
+// (no orderId / receiptToken from the backend) get a receipt without QR.
+// Needs jsPDF (window.jspdf) and qrcode-generator (window.qrcode). The PDF
+// is written in the page language.
+const RECEIPT_QR_ERROR_LEVEL = 'M';
+const RECEIPT_BRAND_RGB = hexToRgb(currentBrand().colors.secondary);
+
+const RECEIPT_ROWS = [
+  ['detail.name', o => o.fullName],
+  ['detail.cpf', o => maskCpf(o.cpf)],
+  ['detail.phone', o => maskPhoneNumber(o.phone)],
+  ['detail.platform', o => o.platform],
+  ['detail.gameId', o => o.gameId],
+  ['detail.address', o => [o.street, o.number].filter(Boolean).join(', ')],
+  ['detail.neighborhood', o => o.neighborhood],
+  ['detail.city', o => [o.city, o.state].filter(Boolean).join(' - ')],
+  ['detail.zip', o => o.zip],
+  ['detail.fallbacks', o => (o.fallbacks || []).map((f, i) => t('fallback.ranked', { rank: i + 1, name: f.name })).join(' · ')]
+];
+
+function isVerifiableReceipt(orderId, order) {
+  return !!(orderId && order && order.receiptToken && !orderId.startsWith('local-'));
+}
+
+function receiptFileName(orderId) {
+  return `${currentBrand().receiptPrefix}-pedido-${String(orderId).replace(/[^\w-]/g, '').slice(0, 40)}.pdf`;
+}
+
+function createReceiptQr(text) {
+  const qr = qrcode(0, RECEIPT_QR_ERROR_LEVEL);
+  qr.addData(text);
+  qr.make();
+  return qr;
+}
+
+function receiptLibrariesLoaded() {
+  return typeof window.qrcode === 'function' && !!(window.jspdf && window.jspdf.jsPDF);
+}
+
+/* ========================================
+   ON-PAGE QR
+======================================== */
+function renderReceiptQr(orderId, order) {
+  const container = document.getElementById('receiptQr');
+  if (!container) return;
+  container.hidden = true;
+  if (!isVerifiableReceipt(orderId, order) || typeof window.qrcode !== 'function') return;
+
+  const qr = createReceiptQr(receiptVerifyUrl(orderId, order.receiptToken));
+  document.getElementById('receiptQrImg').src = qr.createDataURL(4, 2);
+  container.hidden = false;
+}
+
+/* ========================================
+   PDF
+======================================== */
+// Drawn as vectors (text + QR modules as rectangles): sharp at any zoom and
+// small enough to send over WhatsApp. The built-in Helvetica has no emoji,
+// so none are used here.
+function drawReceiptQr(doc, qr, x, y, size) {
+  const count = qr.getModuleCount();
+  const cell = size / count;
+  doc.setFillColor(0, 0, 0);
+  for (let row = 0; row < count; row++) {
+    for (let col = 0; col < count; col++) {
+      if (qr.isDark(row, col)) doc.rect(x + col * cell, y + row * cell, cell, cell, 'F');
+    }
+  }
+}
+
+function buildReceiptPdf(orderId, order) {
+  const { jsPDF } = window.jspdf;
+  const doc = new jsPDF({ unit: 'mm', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const margin = 18;
+  const contentWidth = pageWidth - margin * 2;
+
+  // Header
+  doc.setFillColor(...RECEIPT_BRAND_RGB);
+  doc.rect(0, 0, pageWidth, 34, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(20);
+  doc.text(t('receipt.title'), pageWidth / 2, 16, { align: 'center' });
+  doc.setFontSize(11);
+  doc.setFont('helvetica', 'normal');
+  doc.text(t('receipt.brand'), pageWidth / 2, 25, { align: 'center' });
+
+  let y = 46;
+  doc.setTextColor(55, 65, 81);
+  doc.setFontSize(10);
+  doc.text(t('receipt.orderNumber', { id: orderId }), margin, y);
+  doc.text(formatDateTime(order.createdAt || new Date()), pageWidth - margin, y, { align: 'right' });
+
+  // Prize
+  y += 12;
+  doc.setTextColor(...RECEIPT_BRAND_RGB);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(15);
+  const productLines = doc.splitTextToSize(order.productName || '', contentWidth);
+  doc.text(productLines, margin, y);
+  y += productLines.length * 7 + 4;
+
+  // Secret code
+  doc.setDrawColor(139, 69, 19);
+  doc.setLineDashPattern([2, 1.5], 0);
+  doc.roundedRect(margin, y, contentWidth, 22, 3, 3, 'S');
+  doc.setLineDashPattern([], 0);
+  doc.setTextColor(139, 69, 19);
+  doc.setFontSize(9);
+  doc.text(t('receipt.secretCode'), pageWidth / 2, y + 7, { align: 'center' });
+  doc.setFont('courier', 'bold');
+  doc.setFontSize(18);
+  doc.text(order.secretCode || '', pageWidth / 2, y + 17, { align: 'center' });
+  y += 32;
+
+  // Details
+  doc.setFontSize(10);
+  const labelWidth = 32;
+  RECEIPT_ROWS.forEach(([labelKey, format]) => {
+    const value = format(order);
+    if (!value) return;
+    const lines = doc.splitTextToSize(String(value), contentWidth - labelWidth);
+    doc.setFont('helvetica', 'bold');
+    doc.setTextColor(...RECEIPT_BRAND_RGB);
+    doc.text(`${t(labelKey)}:`, margin, y);
+    doc.setFont('helvetica', 'normal');
+    doc.setTextColor(55, 65, 81);
+    doc.text(lines, margin + labelWidth, y);
+    y += lines.length * 5 + 3;
+  });
+
+  // Verification
+  y += 6;
+  doc.setDrawColor(229, 231, 235);
+  doc.line(margin, y, pageWidth - margin, y);
+  y += 8;
+  doc.setFontSize(9);
+  doc.setTextColor(107, 114, 128);
+  if (isVerifiableReceipt(orderId, order)) {
+    const verifyUrl = receiptVerifyUrl(orderId, order.receiptToken);
+    const qrSize = 42;
+    drawReceiptQr(doc, createReceiptQr(verifyUrl), margin, y, qrSize);
+    const textX = margin + qrSize + 8;
+    const textWidth = contentWidth - qrSize - 8;
+    doc.setFont('helvetica', 'bold');
+    doc.text(t('receipt.verifyTitle'), textX, y + 6);
+    doc.setFont('helvetica', 'normal');
+    doc.text(doc.splitTextToSize(t('receipt.verifyText'), textWidth), textX, y + 12);
+    doc.setTextColor(...RECEIPT_BRAND_RGB);
+    doc.text(doc.splitTextToSize(verifyUrl, textWidth), textX, y + 26);
+  } else {
+    doc.text(doc.splitTextToSize(t('receipt.unverified'), contentWidth), margin, y);
+  }
+
+  return doc;
+}
+
+/* ========================================
+   DOWNLOAD / SHARE
+======================================== */
+function downloadReceiptPdf(orderId, order) {
+  buildReceiptPdf(orderId, order).save(receiptFileName(orderId));
+}
+
+// Shares the PDF itself where the browser can attach files (most phones);
+// otherwise shares the verification link, and as a last resort downloads.
+async function shareReceiptPdf(orderId, order) {
+  const title = t('receipt.shareTitle', { product: order.productName || t('detail.order') });
+  const blob = buildReceiptPdf(orderId, order).output('blob');
+  const file = new File([blob], receiptFileName(orderId), { type: 'application/pdf' });
+
+  try {
+    if (navigator.canShare && navigator.canShare({ files: [file] })) {
+      await navigator.share({ files: [file], title });
+    } else if (navigator.share && isVerifiableReceipt(orderId, order)) {
+      await navigator.share({ title, url: receiptVerifyUrl(orderId, order.receiptToken) });
+    } else {
+      downloadReceiptPdf(orderId, order);
+    }
+  } catch (err) {
+    if (err.name !== 'AbortError') throw err; // AbortError: share sheet dismissed
+  }
+}
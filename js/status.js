@@ -0,0 +1,129 @@
+'use strict';
+
+/* ========================================
+   ORDER STATUS PAGE
+======================================== */
+const ORDER_STATUS_STEPS = [
+  { state: 'received', title: t('orderState.received') },
+  { state: 'approved', title: t('orderState.approved') },
+  { state: 'shipped', title: t('orderState.shipped') },
+  { state: 'delivered', title: t('orderState.delivered') }
+];
+
+const statusForm = document.getElementById('statusForm');
+const statusSubmitBtn = document.getElementById('statusSubmitBtn');
+const statusMessage = document.getElementById('statusMessage');
+const statusResult = document.getElementById('statusResult');
+const statusTimeline = document.getElementById('statusTimeline');
+
+function setStatusMessage(text, color) {
+  statusMessage.textContent = text || '';
+  statusMessage.style.color = color || '';
+}
+
+function buildTimelineStep(title, detail, className) {
+  const li = document.createElement('li');
+  li.className = `timeline-step ${className}`.trim();
+
+  const titleEl = document.createElement('div');
+  titleEl.className = 'timeline-title';
+  titleEl.textContent = title;
+  li.appendChild(titleEl);
+
+  if (detail) {
+    const detailEl = document.createElement('div');
+    detailEl.className = 'timeline-detail';
+    detailEl.textContent = detail;
+    li.appendChild(detailEl);
+  }
+  return li;
+}
+
+function stepDetail(step, order, at) {
+  const parts = [];
+  if (at) parts.push(formatDateTime(at));
+  if (step.state === 'shipped' && order.trackingNumber) {
+    const number = order.carrier ? `${order.trackingNumber} (${order.carrier})` : order.trackingNumber;
+    parts.push(t('status.tracking', { number }));
+  }
+  return parts.join(' · ');
+}
+
+function renderTimeline(order) {
+  const history = Array.isArray(order.history) ? order.history : [];
+  const reachedAt = new Map(history.map(entry => [entry.state, entry.at]));
+  const isCancelled = order.state === 'cancelled';
+
+  // Last regular step reached; for cancelled orders, the last one before cancelling
+  let currentIndex = ORDER_STATUS_STEPS.findIndex(step => step.state === order.state);
+  if (currentIndex < 0) {
+    currentIndex = ORDER_STATUS_STEPS.reduce((last, step, idx) => (reachedAt.has(step.state) ? idx : last), 0);
+  }
+
+  statusTimeline.innerHTML = '';
+  ORDER_STATUS_STEPS.forEach((step, idx) => {
+    if (isCancelled && idx > currentIndex) return;
+    const done = idx <= currentIndex;
+    const className = done ? `done${idx === currentIndex && !isCancelled ? ' current' : ''}` : '';
+    const detail = done ? stepDetail(step, order, reachedAt.get(step.state)) : '';
+    statusTimeline.appendChild(buildTimelineStep(step.title, detail, className));
+  });
+
+  if (isCancelled) {
+    const when = formatDateTime(reachedAt.get('cancelled'));
+    const reason = order.cancelReason ? t('status.cancelReason', { reason: order.cancelReason }) : t('status.cancelHelp');
+    statusTimeline.appendChild(buildTimelineStep(t('orderState.cancelled'), [when, reason].filter(Boolean).join(' · '), 'cancelled'));
+  }
+}
+
+function renderOrderStatus(order) {
+  document.getElementById('statusProductImg').src = order.productImg || '';
+  document.getElementById('statusProductImg').alt = order.productName || '';
+  document.getElementById('statusProductName').textContent = order.productName || '';
+  renderTimeline(order);
+  statusResult.hidden = false;
+}
+
+async function showOrderStatus(lookup) {
+  statusSubmitBtn.disabled = true;
+  statusResult.hidden = true;
+  setStatusMessage(t('status.searching'), '#2D1B4E');
+
+  try {
+    const result = await lookup();
+    if (result && result.status === 'found' && result.order) {
+      setStatusMessage('');
+      renderOrderStatus(result.order);
+    } else {
+      setStatusMessage(t('status.notFound'), '#F59E0B');
+    }
+  } catch (err) {
+    console.error('Erro ao consultar status:', err);
+    setStatusMessage(apiErrorMessage(err), '#F59E0B');
+  } finally {
+    statusSubmitBtn.disabled = false;
+  }
+}
+
+statusForm.addEventListener('submit', e => {
+  e.preventDefault();
+
+  const secretCode = document.getElementById('statusSecretCode').value.trim();
+  const cpfLast = document.getElementById('statusCpfLast').value.replace(/\D/g, '');
+
+  if (secretCode.length <= 4 || cpfLast.length !== 4) {
+    setStatusMessage(t('status.missingFields'), '#F59E0B');
+    return;
+  }
+
+  showOrderStatus(() => fetchOrderStatus(secretCode, cpfLast));
+});
+
+applyTranslations(document);
+
+// Opened from "Meus pedidos" (status.html?pedido=): no code or CPF needed,
+// the receipt token comes from this device's order history.
+const linkedOrderId = new URLSearchParams(window.location.search).get('pedido');
+const linkedToken = linkedOrderId && receiptTokenFor(linkedOrderId);
+if (linkedToken) showOrderStatus(() => fetchOrderStatusByReceipt(linkedOrderId, linkedToken));
+else warmUpBackend();
@@ -0,0 +1,39 @@
+'use strict';
+
+/* ========================================
+   TEXT HELPERS
+======================================== */
+// Lowercase, strip accents and collapse whitespace so that
+// "São Paulo", "SAO PAULO" and "sao  paulo" compare equal.
+function foldText(str) {
+  return String(str == null ? '' : str)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/* ========================================
+   DISPLAY MASKS (LGPD)
+======================================== */
+// 529.982.247-25 -> ***.982.247-**
+function maskCpf(cpf) {
+  const digits = String(cpf || '').replace(/\D/g, '');
+  if (digits.length !== 11) return cpf ? String(cpf) : '';
+  return `***.${digits.slice(3, 6)}.${digits.slice(6, 9)}-**`;
+}
+
+// (11) 91234-5678 -> (11) *****-5678
+function maskPhoneNumber(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  if (digits.length < 10) return phone ? String(phone) : '';
+  return `(${digits.slice(0, 2)}) ${'*'.repeat(digits.length - 6)}-${digits.slice(-4)}`;
+}
+
+// AB12CD34 -> AB****34
+function maskSecretCode(code) {
+  const value = String(code || '');
+  if (value.length <= 4) return '*'.repeat(value.length);
+  return `${value.slice(0, 2)}${'*'.repeat(value.length - 4)}${value.slice(-2)}`;
+}
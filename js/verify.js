@@ -0,0 +1,187 @@
+'use strict';
+
+/* ========================================
+   RECEIPT VERIFICATION PAGE
+======================================== */
+// Opened by the receipt QR code (verify.html?pedido=&t=), or by a mentor
+// who scans / pastes it here. What is shown comes from the backend only,
+// never from the receipt, so it can be compared against the copy received.
+const VERIFY_STATES = ['received', 'approved', 'shipped', 'delivered', 'cancelled'];
+
+const verifyForm = document.getElementById('verifyForm');
+const verifyLinkInput = document.getElementById('verifyLink');
+const verifySubmitBtn = document.getElementById('verifySubmitBtn');
+const verifyMessage = document.getElementById('verifyMessage');
+const verifyResult = document.getElementById('verifyResult');
+
+let qrDetector = null;
+let scanStream = null;
+
+function setVerifyMessage(text, color) {
+  verifyMessage.textContent = text || '';
+  verifyMessage.style.color = color || '';
+}
+
+/* ========================================
+   RESULT
+======================================== */
+function addVerifyRow(label, value) {
+  if (!value) return;
+  const row = document.createElement('div');
+  row.className = 'verify-row';
+  const labelEl = document.createElement('span');
+  labelEl.className = 'verify-label';
+  labelEl.textContent = `${label}:`;
+  const valueEl = document.createElement('span');
+  valueEl.className = 'verify-value';
+  valueEl.textContent = value;
+  row.append(labelEl, valueEl);
+  document.getElementById('verifyDetails').appendChild(row);
+}
+
+function renderVerifyResult(valid, orderId, order = {}) {
+  verifyResult.classList.toggle('valid', valid);
+  verifyResult.classList.toggle('invalid', !valid);
+  document.getElementById('verifyVerdict').textContent = t(valid ? 'verify.valid' : 'verify.invalid');
+  document.getElementById('verifyHint').textContent = t(valid ? 'verify.validHint' : 'verify.invalidHint');
+
+  document.getElementById('verifyDetails').innerHTML = '';
+  if (valid) {
+    addVerifyRow(t('detail.order'), orderId);
+    addVerifyRow(t('detail.prize'), order.productName);
+    addVerifyRow(t('detail.name'), order.fullName);
+    addVerifyRow(t('detail.gameId'), order.gameId);
+    addVerifyRow(t('detail.date'), formatDateTime(order.createdAt));
+    addVerifyRow(t('detail.status'), VERIFY_STATES.includes(order.state) ? t(`orderState.${order.state}`) : order.state);
+  }
+  verifyResult.hidden = false;
+}
+
+async function runVerification(payload) {
+  verifySubmitBtn.disabled = true;
+  verifyResult.hidden = true;
+  setVerifyMessage(t('verify.checking'), '#2D1B4E');
+
+  try {
+    const result = await verifyReceipt(payload.orderId, payload.token);
+    setVerifyMessage('');
+    if (result && result.status === 'valid') {
+      renderVerifyResult(true, payload.orderId, result.order || {});
+    } else {
+      renderVerifyResult(false, payload.orderId);
+    }
+  } catch (err) {
+    console.error('Erro ao verificar comprovante:', err);
+    setVerifyMessage(apiErrorMessage(err), '#F59E0B');
+  } finally {
+    verifySubmitBtn.disabled = false;
+  }
+}
+
+function verifyText(text) {
+  const payload = parseReceiptPayload(text);
+  if (!payload) {
+    setVerifyMessage(t('verify.unrecognized'), '#F59E0B');
+    return;
+  }
+  verifyLinkInput.value = receiptVerifyUrl(payload.orderId, payload.token);
+  runVerification(payload);
+}
+
+/* ========================================
+   QR SCANNING
+======================================== */
+// Uses the browser's BarcodeDetector where available (Chrome / Android).
+// Elsewhere the phone's own camera app reads the QR and opens this page.
+function stopScan() {
+  if (scanStream) scanStream.getTracks().forEach(track => track.stop());
+  scanStream = null;
+  document.getElementById('verifyScanner').hidden = true;
+}
+
+async function scanVideoFrame(video) {
+  if (!scanStream) return;
+  try {
+    const codes = await qrDetector.detect(video);
+    if (codes.length > 0) {
+      stopScan();
+      verifyText(codes[0].rawValue);
+      return;
+    }
+  } catch (err) {
+    // frame not ready yet, try the next one
+  }
+  requestAnimationFrame(() => scanVideoFrame(video));
+}
+
+async function startScan() {
+  const video = document.getElementById('verifyVideo');
+  try {
+    scanStream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+  } catch (err) {
+    console.warn('Câmera indisponível:', err);
+    setVerifyMessage(t('verify.cameraError'), '#F59E0B');
+    return;
+  }
+  setVerifyMessage('');
+  document.getElementById('verifyScanner').hidden = false;
+  video.srcObject = scanStream;
+  try {
+    await video.play();
+  } catch (err) {
+    // autoplay refused, or the stream ended while starting
+    console.warn('Vídeo da câmera não iniciou:', err);
+    stopScan();
+    setVerifyMessage(t('verify.cameraError'), '#F59E0B');
+    return;
+  }
+  scanVideoFrame(video);
+}
+
+async function scanImageFile(file) {
+  if (!file) return;
+  try {
+    const codes = await qrDetector.detect(await createImageBitmap(file));
+    if (codes.length > 0) verifyText(codes[0].rawValue);
+    else setVerifyMessage(t('verify.noQrInImage'), '#F59E0B');
+  } catch (err) {
+    console.warn('Falha ao ler imagem:', err);
+    setVerifyMessage(t('verify.imageError'), '#F59E0B');
+  }
+}
+
+async function initQrScanning() {
+  if (!('BarcodeDetector' in window)) return;
+  try {
+    const formats = await BarcodeDetector.getSupportedFormats();
+    if (!formats.includes('qr_code')) return;
+  } catch (err) {
+    return;
+  }
+  qrDetector = new BarcodeDetector({ formats: ['qr_code'] });
+
+  document.getElementById('verifyScanTools').hidden = false;
+  document.getElementById('verifyScanHint').hidden = true;
+  document.getElementById('verifyScanBtn').addEventListener('click', startScan);
+  document.getElementById('verifyScanStop').addEventListener('click', stopScan);
+  document.getElementById('verifyImageInput').addEventListener('change', e => {
+    scanImageFile(e.target.files[0]);
+    e.target.value = '';
+  });
+}
+
+/* ========================================
+   INIT
+======================================== */
+verifyForm.addEventListener('submit', e => {
+  e.preventDefault();
+  stopScan();
+  verifyText(verifyLinkInput.value);
+});
+
+applyTranslations(document);
+initQrScanning();
+
+const linkedReceipt = parseReceiptPayload(window.location.href);
+if (linkedReceipt) runVerification(linkedReceipt);
+else warmUpBackend();
@@ -0,0 +1,186 @@
+'use strict';
+
+/* ========================================
+   OFFLINE CACHE (service worker)
+======================================== */
+// Registered by js/offline-app.js. Shell files are served from cache and
+// refreshed in the background, so a deploy shows up on the next visit;
+// bump CACHE_VERSION only when SHELL_FILES changes.
+const CACHE_VERSION = 'v8';
+const SHELL_CACHE = `popvai-shell-${CACHE_VERSION}`;
+const CATALOG_CACHE = `popvai-catalog-${CACHE_VERSION}`;
+const IMAGE_CACHE = `popvai-images-${CACHE_VERSION}`;
+
+// Every page and everything the pages load, city data included, plus each
+// brand's install manifest (brand.js). Keep in sync with their <script> tags.
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'confirmation.html',
+  'status.html',
+  'orders.html',
+  'verify.html',
+  'manifests/popvai.webmanifest',
+  'icons/app-icon.svg',
+  'css/style.css',
+  'js/i18n.js',
+  'js/locales/pt-BR.js',
+  'js/locales/es.js',
+  'js/locales/en.js',
+  'js/brand.js',
+  'js/text-utils.js',
+  'js/cities.js',
+  'js/city-selector.js',
+  'js/cep-lookup.js',
+  'js/manifest-schema.js',
+  'js/catalog-search.js',
+  'js/product-links.js',
+  'js/claim-flow.js',
+  'js/prize-fallbacks.js',
+  'js/dialog-focus.js',
+  'js/order-wizard.js',
+  'js/order-draft.js',
+  'js/form-validation.js',
+  'js/platforms.js',
+  'js/mentor-referral.js',
+  'js/api-client.js',
+  'js/anti-abuse.js',
+  'js/order-handoff.js',
+  'js/order-history.js',
+  'js/analytics.js',
+  'js/receipt-links.js',
+  'js/receipt.js',
+  'js/confirmation.js',
+  'js/status.js',
+  'js/orders.js',
+  'js/verify.js',
+  'js/offline-app.js',
+  'js/main.js'
+];
+
+// Versioned CDN URLs never change, so they are safe to keep cache-first.
+const CDN_FILES = [
+  'https://cdnjs.cloudflare.com/ajax/libs/jspdf/2.5.1/jspdf.umd.min.js',
+  'https://cdnjs.cloudflare.com/ajax/libs/qrcode-generator/1.4.4/qrcode.min.js'
+];
+const CDN_HOSTS = ['cdnjs.cloudflare.com', 'unpkg.com'];
+
+const CATALOG_MANIFEST_PATH = '/manifest.json';
+
+// Product photos: oldest entries are dropped past the cap, and single files
+// above the byte limit (when the server says how big they are) are not kept.
+// Only CORS responses are kept: product images load with crossorigin, and an
+// opaque one (e.g. the brand's contact icons) hides its size and takes up
+// several MB of the origin's quota each.
+const MAX_IMAGE_ENTRIES = 80;
+const MAX_IMAGE_BYTES = 1.5 * 1024 * 1024;
+
+/* ========================================
+   INSTALL / ACTIVATE
+======================================== */
+self.addEventListener('install', event => {
+  event.waitUntil((async () => {
+    const shell = await caches.open(SHELL_CACHE);
+    await shell.addAll(SHELL_FILES);
+    // The CDN sends CORS headers; a plain no-cors request would be opaque.
+    // Best effort: an unreachable CDN must not fail the whole install, the
+    // libraries are cached on first use instead.
+    await shell.addAll(CDN_FILES.map(url => new Request(url, { mode: 'cors' }))).catch(() => {});
+    // First visit: the page fetched the catalog before this worker existed
+    const catalog = await caches.open(CATALOG_CACHE);
+    await catalog.add('manifest.json').catch(() => {});
+    await self.skipWaiting();
+  })());
+});
+
+self.addEventListener('activate', event => {
+  const current = [SHELL_CACHE, CATALOG_CACHE, IMAGE_CACHE];
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter(name => name.startsWith('popvai-') && !current.includes(name))
+      .map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+/* ========================================
+   STRATEGIES
+======================================== */
+function isCacheable(response) {
+  return response && (response.ok || response.type === 'opaque');
+}
+
+// Answers from cache right away and refreshes it from the network;
+// waits for the network only when nothing is cached yet.
+async function staleWhileRevalidate(event, cacheName, cacheKey = event.request) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(cacheKey, { ignoreSearch: true });
+  const network = fetch(event.request)
+    .then(response => {
+      if (response.ok) return cache.put(cacheKey, response.clone()).then(() => response);
+      return response;
+    });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+  return network;
+}
+
+async function cacheFirst(request, cacheName) {
+  const cache = await caches.open(cacheName);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (isCacheable(response)) await cache.put(request, response.clone());
+  return response;
+}
+
+async function trimImageCache() {
+  const cache = await caches.open(IMAGE_CACHE);
+  const keys = await cache.keys();
+  const excess = keys.length - MAX_IMAGE_ENTRIES;
+  // cache.keys() lists entries in insertion order
+  for (let i = 0; i < excess; i++) await cache.delete(keys[i]);
+}
+
+async function cachedImage(event) {
+  const cache = await caches.open(IMAGE_CACHE);
+  const cached = await cache.match(event.request);
+  if (cached) return cached;
+
+  const response = await fetch(event.request);
+  const size = Number(response.headers.get('Content-Length')) || 0;
+  if (response.ok && response.type !== 'opaque' && size <= MAX_IMAGE_BYTES) {
+    event.waitUntil(cache.put(event.request, response.clone()).then(trimImageCache));
+  }
+  return response;
+}
+
+/* ========================================
+   ROUTING
+======================================== */
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  // Orders and every backend call go straight to the network
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  const sameOrigin = url.origin === self.location.origin;
+
+  if (url.pathname.endsWith(CATALOG_MANIFEST_PATH)) {
+    event.respondWith(staleWhileRevalidate(event, CATALOG_CACHE, url.origin + url.pathname));
+  } else if (request.destination === 'image') {
+    event.respondWith(cachedImage(event));
+  } else if (request.mode === 'navigate' && sameOrigin) {
+    // ?pedido=, ?ref=, ?lang=... all open the same cached page
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE, url.origin + url.pathname));
+  } else if (sameOrigin) {
+    event.respondWith(staleWhileRevalidate(event, SHELL_CACHE));
+  } else if (CDN_HOSTS.includes(url.hostname)) {
+    event.respondWith(cacheFirst(request, SHELL_CACHE));
+  }
+});
@@ -0,0 +1,91 @@
+#!/usr/bin/env node
+'use strict';
+
+/* ========================================
+   CONVERSION REPORT
+======================================== */
+// Usage: node tools/analytics-report.js <events.json|events.ndjson> [--json]
+// Reads what the analytics endpoint collected: a JSON array of events, or one
+// beacon batch ({ events: [...] }) / event per line. Prints conversion per
+// tier and per product, see conversionReport in js/analytics.js.
+const fs = require('fs');
+const path = require('path');
+const { conversionReport } = require('../js/analytics.js');
+
+const args = process.argv.slice(2);
+const asJson = args.includes('--json');
+const file = args.find(arg => !arg.startsWith('--'));
+
+if (!file) {
+  console.error('Usage: node tools/analytics-report.js <events.json|events.ndjson> [--json]');
+  process.exit(1);
+}
+
+function eventsFrom(value) {
+  if (Array.isArray(value)) return value.flatMap(eventsFrom);
+  if (value && Array.isArray(value.events)) return value.events;
+  return value && value.type ? [value] : [];
+}
+
+function readEvents(text) {
+  try {
+    return eventsFrom(JSON.parse(text));
+  } catch (err) {
+    return text.split('\n')
+      .filter(line => line.trim())
+      .flatMap((line, idx) => {
+        try {
+          return eventsFrom(JSON.parse(line));
+        } catch (lineErr) {
+          throw new Error(`line ${idx + 1}: ${lineErr.message}`);
+        }
+      });
+  }
+}
+
+/* ========================================
+   OUTPUT
+======================================== */
+const percent = value => `${(value * 100).toFixed(1)}%`;
+
+function printTable(title, rows, columns) {
+  console.log(`\n${title}`);
+  if (rows.length === 0) {
+    console.log('  (no events)');
+    return;
+  }
+  const cells = rows.map(row => columns.map(([key, , format]) => (format ? format(row[key]) : String(row[key]))));
+  const widths = columns.map(([, label], i) => Math.max(label.length, ...cells.map(cell => cell[i].length)));
+  const line = values => '  ' + values.map((value, i) => (i === 0 ? value.padEnd(widths[i]) : value.padStart(widths[i]))).join('  ');
+  console.log(line(columns.map(([, label]) => label)));
+  cells.forEach(cell => console.log(line(cell)));
+}
+
+let events;
+try {
+  events = readEvents(fs.readFileSync(path.resolve(file), 'utf8'));
+} catch (err) {
+  console.error(`✗ ${file}: ${err.message}`);
+  process.exit(1);
+}
+
+const report = conversionReport(events);
+report.tiers.sort((a, b) => a.tier.localeCompare(b.tier));
+report.products.sort((a, b) => a.tier.localeCompare(b.tier) || b.orders - a.orders || a.sku.localeCompare(b.sku));
+
+if (asJson) {
+  console.log(JSON.stringify(report, null, 2));
+  process.exit(0);
+}
+
+const sessions = new Set(events.map(event => event.sessionId)).size;
+console.log(`${events.length} event(s) from ${sessions} session(s); counts are distinct sessions`);
+
+printTable('Per tier (conversion = orders / views)', report.tiers, [
+  ['tier', 'TIER'], ['views', 'VIEWS'], ['clicks', 'CLICKS'], ['opens', 'OPENS'],
+  ['validCodes', 'VALID CODE'], ['submits', 'SUBMITS'], ['orders', 'ORDERS'], ['conversion', 'CONV', percent]
+]);
+printTable('Per product (conversion = orders / opens)', report.products, [
+  ['sku', 'SKU'], ['tier', 'TIER'], ['clicks', 'CLICKS'], ['opens', 'OPENS'],
+  ['validCodes', 'VALID CODE'], ['submits', 'SUBMITS'], ['orders', 'ORDERS'], ['conversion', 'CONV', percent]
+]);
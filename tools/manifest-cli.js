@@ -0,0 +1,298 @@
+#!/usr/bin/env node
+'use strict';
+
+/* ========================================
+   MANIFEST AUTHORING CLI
+======================================== */
+// Edits manifest.json from the images folder instead of by hand. Every
+// command is a dry run unless --write is given, and the result must pass
+// validateManifest before it is saved.
+const USAGE = `Usage: node tools/manifest-cli.js <command> [args] [options]
+
+Commands:
+  scan <imagesDir>          add entries for image files not yet in the tier
+  audit <imagesDir>         report missing files, duplicates and unnamed items
+                            (--prune removes entries whose file is gone)
+  normalize                 trim, collapse spaces and uppercase item names
+  pin <file...>             mark items as pinned (always shown first)
+  unpin <file...>           remove the pinned flag
+  show-first <n>            set how many items the tier shows before "VEJA MAIS"
+  set-commit <sha>          point baseUrl at another jsDelivr commit
+
+Options:
+  --manifest <path>         manifest to edit (default: manifest.json)
+  --tier <id>               tier to work on (default: the first tier)
+  --write                   save changes; without it the command is a dry run
+  --force                   save even if the result fails validation
+  --prune                   with audit: drop entries whose file no longer exists`;
+
+const fs = require('fs');
+const path = require('path');
+const { validateManifest } = require('../js/manifest-schema.js');
+
+const IMAGE_EXTENSIONS = /\.(webp|png|jpe?g|gif|avif)$/i;
+const JSDELIVR_GH_PATTERN = /^(https:\/\/cdn\.jsdelivr\.net\/gh\/[^/]+\/[^/@]+)(?:@([^/]+))?(\/.*)$/;
+
+/* ========================================
+   ARGS
+======================================== */
+function parseArgs(argv) {
+  const args = { _: [], manifest: path.join(__dirname, '..', 'manifest.json'), tier: null, write: false, force: false, prune: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--manifest') args.manifest = argv[++i];
+    else if (arg === '--tier') args.tier = argv[++i];
+    else if (arg === '--write') args.write = true;
+    else if (arg === '--force') args.force = true;
+    else if (arg === '--prune') args.prune = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+    else args._.push(arg);
+  }
+  return args;
+}
+
+/* ========================================
+   READ / WRITE
+======================================== */
+function readManifest(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+// Written back in the hand-edited layout: two-space JSON with every item
+// on a single line, { "file": ..., "name": ...}, so diffs stay one line per product.
+function formatItem(item) {
+  const keys = Object.keys(item).filter(key => item[key] !== undefined);
+  keys.sort((a, b) => itemKeyRank(a) - itemKeyRank(b));
+  return `{ ${keys.map(key => `${JSON.stringify(key)}: ${formatValue(item[key])}`).join(', ')}}`;
+}
+
+function formatValue(value) {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    return `{ ${Object.keys(value).map(key => `${JSON.stringify(key)}: ${formatValue(value[key])}`).join(', ')} }`;
+  }
+  return JSON.stringify(value);
+}
+
+function itemKeyRank(key) {
+  const order = ['file', 'url', 'name'];
+  const idx = order.indexOf(key);
+  return idx === -1 ? order.length : idx;
+}
+
+function formatManifest(manifest) {
+  const inlined = [];
+  const json = JSON.stringify(manifest, function (key, value) {
+    if (Array.isArray(value) && key === 'items') {
+      return value.map(item => {
+        inlined.push(formatItem(item));
+        return `@@ITEM${inlined.length - 1}@@`;
+      });
+    }
+    return value;
+  }, 2);
+  return json.replace(/"@@ITEM(\d+)@@"/g, (_, idx) => inlined[Number(idx)]);
+}
+
+/* ========================================
+   HELPERS
+======================================== */
+function normalizeName(name) {
+  return String(name || '').replace(/\s+/g, ' ').trim().toLocaleUpperCase('pt-BR');
+}
+
+function nameFromFile(file) {
+  return normalizeName(path.basename(file, path.extname(file)).replace(/[_-]+/g, ' '));
+}
+
+function listImages(dir) {
+  if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+    throw new Error(`Images directory not found: ${dir}`);
+  }
+  return fs.readdirSync(dir).filter(file => IMAGE_EXTENSIONS.test(file)).sort();
+}
+
+function selectTier(manifest, tierId) {
+  const tiers = Array.isArray(manifest.tiers) ? manifest.tiers : [];
+  const tier = tierId ? tiers.find(t => t.id === tierId) : tiers[0];
+  if (!tier) throw new Error(tierId ? `Tier "${tierId}" not found` : 'Manifest has no tiers');
+  if (!Array.isArray(tier.items)) tier.items = [];
+  return tier;
+}
+
+function findItems(tier, files) {
+  return files.map(file => {
+    const item = tier.items.find(it => it.file === file);
+    if (!item) throw new Error(`${file} is not in tier ${tier.id}`);
+    return item;
+  });
+}
+
+/* ========================================
+   COMMANDS
+======================================== */
+// Each command mutates the manifest and returns a list of report lines.
+const COMMANDS = {
+  scan(manifest, args) {
+    const dir = args._[1];
+    if (!dir) throw new Error('scan needs an images directory');
+    const tier = selectTier(manifest, args.tier);
+    const known = new Set(manifest.tiers.flatMap(t => (t.items || []).map(it => it.file)));
+
+    const report = [];
+    listImages(dir).forEach(file => {
+      if (known.has(file)) return;
+      tier.items.push({ file, name: nameFromFile(file) });
+      report.push(`+ ${tier.id}: ${file} (name "${nameFromFile(file)}" — review it)`);
+    });
+    if (report.length === 0) report.push(`No new images in ${dir}`);
+    return report;
+  },
+
+  audit(manifest, args) {
+    const dir = args._[1];
+    if (!dir) throw new Error('audit needs an images directory');
+    const files = new Set(listImages(dir));
+    const report = [];
+    const seenFiles = new Map();
+    const seenNames = new Map();
+
+    manifest.tiers.forEach(tier => {
+      tier.items = (tier.items || []).filter((item, idx) => {
+        const where = `${tier.id}[${idx}]`;
+        if (item.file && !files.has(item.file)) {
+          report.push(`✗ ${where}: ${item.file} not found in ${dir}${args.prune ? ' (removed)' : ''}`);
+          if (args.prune) return false;
+        }
+        if (item.file) {
+          if (seenFiles.has(item.file)) report.push(`✗ ${where}: file ${item.file} duplicates ${seenFiles.get(item.file)}`);
+          else seenFiles.set(item.file, where);
+        }
+        const name = normalizeName(item.name);
+        if (name) {
+          if (seenNames.has(name)) report.push(`✗ ${where}: name "${item.name}" duplicates ${seenNames.get(name)}`);
+          else seenNames.set(name, where);
+        }
+        if (!name || (item.file && name === nameFromFile(item.file))) {
+          report.push(`! ${where}: ${item.file || item.url} has no real name yet`);
+        }
+        return true;
+      });
+    });
+
+    files.forEach(file => {
+      if (!seenFiles.has(file)) report.push(`! ${file} is in ${dir} but not in the manifest (run scan)`);
+    });
+
+    const match = JSDELIVR_GH_PATTERN.exec(manifest.baseUrl || '');
+    if (match && !match[2]) {
+      report.push('! baseUrl has no @commit, jsDelivr may serve a stale branch cache (run set-commit)');
+    } else if (match) {
+      report.push(`i baseUrl points at ${match[2]}; make sure the images above are committed there`);
+    }
+
+    if (report.length === 0) report.push('✓ No problems found');
+    return report;
+  },
+
+  normalize(manifest) {
+    const report = [];
+    manifest.tiers.forEach(tier => (tier.items || []).forEach(item => {
+      const name = normalizeName(item.name);
+      if (name !== item.name) {
+        report.push(`~ ${item.file || item.url}: "${item.name}" -> "${name}"`);
+        item.name = name;
+      }
+    }));
+    if (report.length === 0) report.push('All names are already normalized');
+    return report;
+  },
+
+  pin(manifest, args) {
+    const tier = selectTier(manifest, args.tier);
+    return findItems(tier, args._.slice(1)).map(item => {
+      item.pinned = true;
+      return `📌 ${tier.id}: ${item.file}`;
+    });
+  },
+
+  unpin(manifest, args) {
+    const tier = selectTier(manifest, args.tier);
+    return findItems(tier, args._.slice(1)).map(item => {
+      delete item.pinned;
+      return `- ${tier.id}: ${item.file} unpinned`;
+    });
+  },
+
+  'show-first'(manifest, args) {
+    const n = Number(args._[1]);
+    if (!Number.isInteger(n) || n < 0) throw new Error('show-first needs a non-negative integer');
+    const tier = selectTier(manifest, args.tier);
+    const report = [`${tier.id}: showFirst ${tier.showFirst} -> ${n}`];
+    tier.showFirst = n;
+    const pinnedCount = tier.items.filter(it => it.pinned).length;
+    if (pinnedCount > n) report.push(`! ${pinnedCount} pinned items but only ${n} shown first`);
+    return report;
+  },
+
+  'set-commit'(manifest, args) {
+    const sha = args._[1];
+    if (!sha || !/^[0-9a-f]{7,40}$/i.test(sha)) throw new Error('set-commit needs a commit hash');
+    const match = JSDELIVR_GH_PATTERN.exec(manifest.baseUrl || '');
+    if (!match) throw new Error('baseUrl is not a jsDelivr GitHub URL');
+    const baseUrl = `${match[1]}@${sha}${match[3]}`;
+    const report = [`baseUrl ${match[2] || '(no commit)'} -> ${sha}`];
+    manifest.baseUrl = baseUrl;
+    return report;
+  }
+};
+
+/* ========================================
+   MAIN
+======================================== */
+function main(argv) {
+  const args = parseArgs(argv);
+  const command = COMMANDS[args._[0]];
+  if (args.help || !command) {
+    console.log(USAGE);
+    return args.help ? 0 : 1;
+  }
+
+  const file = path.resolve(args.manifest);
+  const before = readManifest(file);
+  const manifest = JSON.parse(JSON.stringify(before));
+
+  const report = command(manifest, args);
+  report.forEach(line => console.log(line));
+  // Lines starting with ✗ are problems (audit); they fail CI unless written away.
+  const hasProblems = report.some(line => line.startsWith('✗'));
+
+  const { errors } = validateManifest(manifest);
+  if (errors.length > 0) {
+    console.error(`\n✗ Result fails validation (${errors.length} error(s)):`);
+    errors.forEach(error => console.error(`  - ${error}`));
+  }
+
+  const changed = formatManifest(manifest) !== formatManifest(before);
+  if (!changed) return errors.length > 0 || hasProblems ? 1 : 0;
+
+  if (!args.write) {
+    console.log('\n(dry run — add --write to save)');
+    return hasProblems ? 1 : 0;
+  }
+  if (errors.length > 0 && !args.force) {
+    console.error('Not saved. Fix the errors or use --force.');
+    return 1;
+  }
+  fs.writeFileSync(file, formatManifest(manifest));
+  console.log(`\n✓ Saved ${file}`);
+  return 0;
+}
+
+try {
+  process.exitCode = main(process.argv.slice(2));
+} catch (err) {
+  console.error(`✗ ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,37 @@
+#!/usr/bin/env node
+'use strict';
+
+/* ========================================
+   MANIFEST VALIDATOR
+======================================== */
+// Usage: node tools/validate-manifest.js [path/to/manifest.json]
+// Runs the same checks as loadCatalog and exits non-zero on any error,
+// so a broken manifest never gets published.
+const fs = require('fs');
+const path = require('path');
+const { MANIFEST_CURRENT_VERSION, validateManifest } = require('../js/manifest-schema.js');
+
+const file = path.resolve(process.argv[2] || path.join(__dirname, '..', 'manifest.json'));
+
+let raw;
+try {
+  raw = JSON.parse(fs.readFileSync(file, 'utf8'));
+} catch (err) {
+  console.error(`✗ ${file}: ${err.message}`);
+  process.exit(1);
+}
+
+const { manifest, errors, migratedFrom } = validateManifest(raw);
+
+if (migratedFrom !== null && errors.length === 0) {
+  console.warn(`! ${file} is version ${migratedFrom}; it was migrated to version ${MANIFEST_CURRENT_VERSION} for checking.`);
+}
+
+if (errors.length > 0) {
+  console.error(`✗ ${file}: ${errors.length} error(s)`);
+  errors.forEach(error => console.error(`  - ${error}`));
+  process.exit(1);
+}
+
+const itemCount = manifest.tiers.reduce((sum, tier) => sum + tier.items.length, 0);
+console.log(`✓ ${file}: ${manifest.tiers.length} tier(s), ${itemCount} item(s)`);